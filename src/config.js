@@ -7,6 +7,22 @@ const parseNumber = (value, fallback) => {
   return Number.isFinite(parsed) ? parsed : fallback;
 };
 
+const parseBoolean = (value, fallback) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    return fallback;
+  }
+
+  return ["true", "1", "yes"].includes(value.trim().toLowerCase());
+};
+
+const parseRateLimitPolicy = (prefix, defaults) => ({
+  capacity: parseNumber(process.env[`${prefix}_CAPACITY`], defaults.capacity),
+  refillPerSecond: parseNumber(
+    process.env[`${prefix}_REFILL_PER_SEC`],
+    defaults.refillPerSecond
+  ),
+});
+
 const mongoUri = process.env.MONGODB_URI;
 
 const mongoDbName =
@@ -21,6 +37,29 @@ const mongoUserRedeemCollection =
   process.env.MONGODB_USER_REDEEM_COLLECTION || "user_redeem";
 const mongoVerifyEmailCollection =
   process.env.MONGODB_VERIFY_EMAIL_COLLECTION || "verify_email";
+const mongoUpstreamItemsCollection =
+  process.env.MONGODB_UPSTREAM_ITEMS_COLLECTION || "upstream_items";
+const mongoAuditLogCollection =
+  process.env.MONGODB_AUDIT_LOG_COLLECTION || "audit_log";
+const mongoRateLimitsCollection =
+  process.env.MONGODB_RATE_LIMITS_COLLECTION || "rate_limits";
+const mongoResponseCacheCollection =
+  process.env.MONGODB_RESPONSE_CACHE_COLLECTION || "response_cache";
+const mongoTorrentEventsCollection =
+  process.env.MONGODB_TORRENT_EVENTS_COLLECTION || "torrent_events";
+const mongoUpstreamAccountsCollection =
+  process.env.MONGODB_UPSTREAM_ACCOUNTS_COLLECTION || "upstream_accounts";
+const mongoDownloadRedemptionsCollection =
+  process.env.MONGODB_DOWNLOAD_REDEMPTIONS_COLLECTION || "download_redemptions";
+const mongoRssFeedsCollection =
+  process.env.MONGODB_RSS_FEEDS_COLLECTION || "rss_feeds";
+const mongoRssMatchesCollection =
+  process.env.MONGODB_RSS_MATCHES_COLLECTION || "rss_matches";
+
+const port = parseNumber(process.env.PORT, 4000);
+const sandboxMode = parseBoolean(process.env.SANDBOX_MODE, false);
+// In sandbox mode both upstream bases point at the fake served by this app.
+const sandboxBaseUrl = `http://127.0.0.1:${port}/sandbox`;
 
 const jwtSecret = process.env.JWT_SECRET || "";
 const jwtExpiresIn = process.env.JWT_EXPIRES_IN || "7d";
@@ -29,13 +68,148 @@ const mailerSendFromEmail = process.env.MAILERSEND_FROM_EMAIL;
 const mailerSendFromName = process.env.MAILERSEND_FROM_NAME;
 const passwordResetUrl = process.env.PASSWORD_RESET_URL || "";
 const emailVerificationUrl = process.env.EMAIL_VERIFICATION_URL || "";
+const credentialEncryptionKey = process.env.CREDENTIAL_ENCRYPTION_KEY || "";
+const debridClientId = process.env.DEBRID_CLIENT_ID || "";
+const debridClientSecret = process.env.DEBRID_CLIENT_SECRET || "";
 
 module.exports = {
-  port: parseNumber(process.env.PORT, 4000),
-  apiBaseUrl: process.env.API_BASE_URL || "https://debrid-link.com/api/v2",
-  oauthBaseUrl: process.env.OAUTH_BASE_URL || "https://debrid-link.com/api",
+  port,
+  logLevel: (process.env.LOG_LEVEL || "info").toLowerCase(),
+  metricsToken: process.env.METRICS_TOKEN || "",
+  readinessTimeoutMs: parseNumber(process.env.READINESS_TIMEOUT_MS, 3000),
+  readinessCacheMs: parseNumber(process.env.READINESS_CACHE_MS, 5000),
+  // Gives load balancers time to see the failing readiness probe.
+  shutdownDelayMs: parseNumber(
+    process.env.SHUTDOWN_DELAY_MS,
+    process.env.NODE_ENV === "production" ? 5000 : 0
+  ),
+  shutdownTimeoutMs: parseNumber(process.env.SHUTDOWN_TIMEOUT_MS, 25000),
+  trustProxy: parseBoolean(process.env.TRUST_PROXY, false),
+  apiBaseUrl: sandboxMode
+    ? `${sandboxBaseUrl}/api/v2`
+    : process.env.API_BASE_URL || "https://debrid-link.com/api/v2",
+  oauthBaseUrl: sandboxMode
+    ? `${sandboxBaseUrl}/api`
+    : process.env.OAUTH_BASE_URL || "https://debrid-link.com/api",
+  sandboxMode,
+  sandboxLatencyMs: parseNumber(process.env.SANDBOX_LATENCY_MS, 0),
+  sandboxFailureRate: parseNumber(process.env.SANDBOX_FAILURE_RATE, 0),
+  sandboxTorrentDurationMs: parseNumber(
+    process.env.SANDBOX_TORRENT_DURATION_MS,
+    60000
+  ),
   defaultTimeout: parseNumber(process.env.API_TIMEOUT_MS, 15000),
   defaultToken: process.env.API_TOKEN || "",
+  allowPrivateOutboundHosts: parseBoolean(
+    process.env.ALLOW_PRIVATE_OUTBOUND_HOSTS,
+    false
+  ),
+  // The tester page is a development aid, so production must opt in.
+  testerEnabled: parseBoolean(
+    process.env.TESTER_ENABLED,
+    process.env.NODE_ENV !== "production"
+  ),
+  testAccountInfosAuth: process.env.TEST_ACCOUNT_INFOS_AUTH || "",
+  proxyReplayBodyLimit: parseNumber(
+    process.env.PROXY_REPLAY_BODY_LIMIT,
+    1024 * 1024
+  ),
+  proxyHookBodyLimit: parseNumber(
+    process.env.PROXY_HOOK_BODY_LIMIT,
+    10 * 1024 * 1024
+  ),
+  storageUnitBytes: parseNumber(process.env.STORAGE_UNIT_BYTES, 1024 ** 3),
+  upstreamRetryMax: parseNumber(process.env.UPSTREAM_RETRY_MAX, 2),
+  upstreamRetryBaseDelayMs: parseNumber(
+    process.env.UPSTREAM_RETRY_BASE_DELAY_MS,
+    200
+  ),
+  upstreamRetryMaxDelayMs: parseNumber(
+    process.env.UPSTREAM_RETRY_MAX_DELAY_MS,
+    5000
+  ),
+  circuitBreakerFailureThreshold: parseNumber(
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+    5
+  ),
+  circuitBreakerResetMs: parseNumber(
+    process.env.CIRCUIT_BREAKER_RESET_MS,
+    30000
+  ),
+  batchMaxRequests: parseNumber(process.env.BATCH_MAX_REQUESTS, 50),
+  batchMaxConcurrency: parseNumber(process.env.BATCH_MAX_CONCURRENCY, 5),
+  batchRequestTimeoutMs: parseNumber(
+    process.env.BATCH_REQUEST_TIMEOUT_MS,
+    60000
+  ),
+  torrentWatcherEnabled: parseBoolean(
+    process.env.TORRENT_WATCHER_ENABLED,
+    true
+  ),
+  torrentWatcherIntervalMs: parseNumber(
+    process.env.TORRENT_WATCHER_INTERVAL_MS,
+    60000
+  ),
+  seedboxStreamPollMs: parseNumber(process.env.SEEDBOX_STREAM_POLL_MS, 5000),
+  seedboxStreamHeartbeatMs: parseNumber(
+    process.env.SEEDBOX_STREAM_HEARTBEAT_MS,
+    15000
+  ),
+  seedboxStreamIdleMs: parseNumber(process.env.SEEDBOX_STREAM_IDLE_MS, 30000),
+  torrentEventRetentionDays: parseNumber(
+    process.env.TORRENT_EVENT_RETENTION_DAYS,
+    30
+  ),
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, ""),
+  signedLinksEnabled: parseBoolean(process.env.SIGNED_LINKS_ENABLED, false),
+  signedLinkSecret: process.env.SIGNED_LINK_SECRET || "",
+  signedLinkTtlSeconds: parseNumber(process.env.SIGNED_LINK_TTL_SECONDS, 3600),
+  signedLinkMode:
+    process.env.SIGNED_LINK_MODE === "stream" ? "stream" : "redirect",
+  accountPoolMonitorEnabled: parseBoolean(
+    process.env.ACCOUNT_POOL_MONITOR_ENABLED,
+    true
+  ),
+  accountPoolCheckIntervalMs: parseNumber(
+    process.env.ACCOUNT_POOL_CHECK_INTERVAL_MS,
+    5 * 60 * 1000
+  ),
+  accountPoolCooldownMs: parseNumber(
+    process.env.ACCOUNT_POOL_COOLDOWN_MS,
+    60 * 60 * 1000
+  ),
+  rssSchedulerEnabled: parseBoolean(process.env.RSS_SCHEDULER_ENABLED, true),
+  rssPollIntervalMs: parseNumber(
+    process.env.RSS_POLL_INTERVAL_MS,
+    15 * 60 * 1000
+  ),
+  rssFeedMaxBytes: parseNumber(process.env.RSS_FEED_MAX_BYTES, 2 * 1024 * 1024),
+  rssMaxFeedsPerUser: parseNumber(process.env.RSS_MAX_FEEDS_PER_USER, 20),
+  rssHistoryRetentionDays: parseNumber(
+    process.env.RSS_HISTORY_RETENTION_DAYS,
+    90
+  ),
+  auditLogRetentionDays: parseNumber(process.env.AUDIT_LOG_RETENTION_DAYS, 90),
+  rateLimitEnabled: parseBoolean(process.env.RATE_LIMIT_ENABLED, true),
+  rateLimitPolicies: {
+    proxy: parseRateLimitPolicy("RATE_LIMIT_PROXY", {
+      capacity: 60,
+      refillPerSecond: 1,
+    }),
+    auth: parseRateLimitPolicy("RATE_LIMIT_AUTH", {
+      capacity: 5,
+      refillPerSecond: 1 / 60,
+    }),
+    redemption: parseRateLimitPolicy("RATE_LIMIT_REDEMPTION", {
+      capacity: 5,
+      refillPerSecond: 1 / 60,
+    }),
+  },
+  responseCacheStore: process.env.RESPONSE_CACHE_STORE || "memory",
+  responseCacheMaxEntries: parseNumber(
+    process.env.RESPONSE_CACHE_MAX_ENTRIES,
+    500
+  ),
   mongoUri,
   mongoDbName,
   mongoUsersCollection,
@@ -43,6 +217,15 @@ module.exports = {
   mongoGiftCardsCollection,
   mongoUserRedeemCollection,
   mongoVerifyEmailCollection,
+  mongoResponseCacheCollection,
+  mongoRateLimitsCollection,
+  mongoAuditLogCollection,
+  mongoUpstreamItemsCollection,
+  mongoTorrentEventsCollection,
+  mongoUpstreamAccountsCollection,
+  mongoDownloadRedemptionsCollection,
+  mongoRssFeedsCollection,
+  mongoRssMatchesCollection,
   jwtSecret,
   jwtExpiresIn,
   mailerSendAccessToken,
@@ -50,4 +233,7 @@ module.exports = {
   mailerSendFromName,
   passwordResetUrl,
   emailVerificationUrl,
+  credentialEncryptionKey,
+  debridClientId,
+  debridClientSecret,
 };
@@ -1,81 +1,362 @@
+// Optional per-endpoint keys:
+// - cache: { ttl (seconds), varyByToken } caches successful GET responses.
+// - invalidates: cached endpoint paths to purge after a successful call.
+// - rateLimit: name of the rate limit policy to apply (defaults to "proxy").
+// - hooks: names of proxy hooks from src/hooks to run around the call.
+// - methods: allowed HTTP methods; other methods get a 405.
+// - params / query / body: JSON-schema-style object schemas validated before
+//   the call is forwarded (bodies only when sent as JSON or form data).
+const idPattern = "^[A-Za-z0-9-]+$";
+const idListPattern = "^[A-Za-z0-9-]+(,[A-Za-z0-9-]+)*$";
+
+const idParam = (name, description) => ({
+  type: "object",
+  required: [name],
+  properties: {
+    [name]: {
+      type: "string",
+      pattern: idPattern,
+      patternDescription: "must be a single id",
+      description,
+    },
+  },
+});
+
+const idListParam = (name, description) => ({
+  type: "object",
+  required: [name],
+  properties: {
+    [name]: {
+      type: "string",
+      pattern: idListPattern,
+      patternDescription: "must be a comma-separated list of ids",
+      description,
+    },
+  },
+});
+
+const paginationQuery = {
+  type: "object",
+  properties: {
+    page: { type: "integer", minimum: 0, description: "Page number" },
+    perPage: {
+      type: "integer",
+      minimum: 1,
+      maximum: 50,
+      description: "Items per page",
+    },
+  },
+};
+
+const listQuery = {
+  type: "object",
+  properties: {
+    ids: {
+      type: "string",
+      pattern: idListPattern,
+      patternDescription: "must be a comma-separated list of ids",
+      description: "Only return these ids",
+    },
+    ...paginationQuery.properties,
+  },
+};
+
+// Read by the duplicates hook and never forwarded upstream.
+const addQuery = {
+  type: "object",
+  properties: {
+    on_duplicate: {
+      type: "string",
+      enum: ["return", "reject", "allow"],
+      description:
+        "When the item was already added: return it with duplicate: true (default), answer 409, or add it again",
+    },
+  },
+};
+
+const oauthClientProperties = {
+  client_id: { type: "string", minLength: 1 },
+  client_secret: { type: "string" },
+};
+
 const endpointGroups = [
   {
     base: "api",
     allowEnvToken: true,
     endpoints: [
-      { path: "/account/infos", summary: "Get user infos" },
-      { path: "/account/update", summary: "Update user infos" },
-      { path: "/seedbox/list", summary: "List torrents" },
-      { path: "/seedbox/activity", summary: "Get torrents activity" },
-      { path: "/seedbox/add", summary: "Add a torrent" },
+      { path: "/account/infos", summary: "Get user infos", methods: ["GET"] },
+      {
+        path: "/account/update",
+        summary: "Update user infos",
+        methods: ["PUT"],
+        body: { type: "object" },
+      },
+      {
+        path: "/seedbox/list",
+        summary: "List torrents",
+        methods: ["GET"],
+        query: listQuery,
+        cache: { ttl: 30, varyByToken: true },
+        hooks: ["ownership", "signedLinks"],
+      },
+      {
+        path: "/seedbox/activity",
+        summary: "Get torrents activity",
+        methods: ["GET"],
+        query: listQuery,
+        hooks: ["ownership"],
+      },
+      {
+        path: "/seedbox/add",
+        summary: "Add a torrent",
+        methods: ["POST"],
+        query: addQuery,
+        body: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: {
+              type: "string",
+              minLength: 1,
+              description: "Magnet link or torrent URL",
+            },
+            wait: { type: "boolean" },
+            async: { type: "boolean" },
+          },
+        },
+        invalidates: ["/seedbox/list"],
+        hooks: ["ownership", "duplicates", "storageQuota"],
+      },
       {
         path: "/seedbox/:idTorrents/remove",
         summary: "Remove one or more torrents",
+        methods: ["DELETE"],
+        params: idListParam("idTorrents", "Comma-separated torrent ids"),
+        invalidates: ["/seedbox/list"],
+        hooks: ["ownership", "storageQuota"],
       },
       {
         path: "/seedbox/:idTorrent/zip",
         summary: "Create a zip archive for torrent files",
+        methods: ["POST"],
+        params: idParam("idTorrent", "Torrent id"),
+        body: {
+          type: "object",
+          properties: {
+            ids: {
+              type: "string",
+              pattern: idListPattern,
+              patternDescription: "must be a comma-separated list of ids",
+              description: "Only include these file ids",
+            },
+          },
+        },
+        hooks: ["ownership"],
       },
       {
         path: "/seedbox/:idTorrent/config",
         summary: "Configure a waiting torrent",
+        methods: ["PUT"],
+        params: idParam("idTorrent", "Torrent id"),
+        body: {
+          type: "object",
+          properties: {
+            "files-unwanted": {
+              type: "array",
+              items: { type: "string" },
+              description: "File ids to skip",
+            },
+          },
+        },
+        invalidates: ["/seedbox/list"],
+        hooks: ["ownership"],
+      },
+      {
+        path: "/seedbox/limits",
+        summary: "Get seedbox limits and usage",
+        methods: ["GET"],
+      },
+      {
+        path: "/seedbox/rss/list",
+        summary: "List RSS feeds and items",
+        methods: ["GET"],
+        query: paginationQuery,
+      },
+      {
+        path: "/seedbox/rss/add",
+        summary: "Add an RSS feed",
+        methods: ["POST"],
+        body: {
+          type: "object",
+          required: ["url"],
+          properties: { url: { type: "string", minLength: 1 } },
+        },
+      },
+      {
+        path: "/seedbox/rss/:id/test",
+        summary: "Test an RSS feed",
+        methods: ["GET"],
+        params: idParam("id", "RSS feed id"),
       },
-      { path: "/seedbox/limits", summary: "Get seedbox limits and usage" },
-      { path: "/seedbox/rss/list", summary: "List RSS feeds and items" },
-      { path: "/seedbox/rss/add", summary: "Add an RSS feed" },
-      { path: "/seedbox/rss/:id/test", summary: "Test an RSS feed" },
       {
         path: "/seedbox/rss/:id/update",
         summary: "Update an RSS feed configuration",
+        methods: ["PUT"],
+        params: idParam("id", "RSS feed id"),
+        body: { type: "object" },
+      },
+      {
+        path: "/seedbox/rss/:ids/remove",
+        summary: "Remove RSS feeds",
+        methods: ["DELETE"],
+        params: idListParam("ids", "Comma-separated RSS feed ids"),
+      },
+      {
+        path: "/seedbox/rss/limits",
+        summary: "Get RSS limits and usage",
+        methods: ["GET"],
       },
-      { path: "/seedbox/rss/:ids/remove", summary: "Remove RSS feeds" },
-      { path: "/seedbox/rss/limits", summary: "Get RSS limits and usage" },
       {
         path: "/seedbox/rss/limits/compare",
         summary: "Compare RSS limits by account type",
+        methods: ["GET"],
+        cache: { ttl: 3600 },
+      },
+      {
+        path: "/downloader/list",
+        summary: "List downloader links",
+        methods: ["GET"],
+        query: listQuery,
+        hooks: ["ownership", "signedLinks"],
+      },
+      {
+        path: "/downloader/add",
+        summary: "Add downloader links",
+        methods: ["POST"],
+        query: addQuery,
+        body: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: { type: "string", minLength: 1, description: "Link to add" },
+            password: { type: "string" },
+          },
+        },
+        hooks: ["ownership", "duplicates", "storageQuota", "signedLinks"],
       },
-      { path: "/downloader/list", summary: "List downloader links" },
-      { path: "/downloader/add", summary: "Add downloader links" },
       {
         path: "/downloader/:idLinks/remove",
         summary: "Remove downloader links",
+        methods: ["DELETE"],
+        params: idListParam("idLinks", "Comma-separated link ids"),
+        hooks: ["ownership", "storageQuota"],
+      },
+      {
+        path: "/downloader/hosts",
+        summary: "List supported hosts",
+        methods: ["GET"],
+        cache: { ttl: 3600 },
+      },
+      {
+        path: "/downloader/domains",
+        summary: "List supported domains",
+        methods: ["GET"],
+        cache: { ttl: 3600 },
       },
-      { path: "/downloader/hosts", summary: "List supported hosts" },
-      { path: "/downloader/domains", summary: "List supported domains" },
       {
         path: "/downloader/regex",
         summary: "List regex rules and hostnames (deprecated)",
+        methods: ["GET"],
+        cache: { ttl: 3600 },
       },
       {
         path: "/downloader/limits",
         summary: "Get downloader limits and usage",
+        methods: ["GET"],
+      },
+      {
+        path: "/files/:idParent/list",
+        summary: "List files under a folder",
+        methods: ["GET"],
+        params: idParam("idParent", "Parent folder id"),
+        query: paginationQuery,
+        hooks: ["ownership", "signedLinks"],
+      },
+      {
+        path: "/stream/transcode/add",
+        summary: "Create a transcode task",
+        methods: ["POST"],
+        body: {
+          type: "object",
+          required: ["fileId"],
+          properties: { fileId: { type: "string", minLength: 1 } },
+        },
       },
-      { path: "/files/:idParent/list", summary: "List files under a folder" },
-      { path: "/stream/transcode/add", summary: "Create a transcode task" },
       {
         path: "/stream/transcode/:id/infos",
         summary: "Get transcode information",
+        methods: ["GET"],
+        params: idParam("id", "Transcode task id"),
       },
     ],
   },
   {
     base: "oauth",
     allowEnvToken: false,
+    // OAuth calls authenticate with client credentials in the body.
+    useUserToken: false,
     endpoints: [
       {
         path: "/oauth/token",
         upstreamPath: "/oauth/token",
         summary: "Create, refresh or exchange OAuth tokens",
+        methods: ["POST"],
+        body: {
+          type: "object",
+          required: ["client_id", "grant_type"],
+          properties: {
+            ...oauthClientProperties,
+            grant_type: {
+              type: "string",
+              enum: [
+                "authorization_code",
+                "password",
+                "refresh_token",
+                "client_credentials",
+                "http://oauth.net/grant_type/device/1.0",
+              ],
+            },
+            refresh_token: { type: "string" },
+            code: { type: "string" },
+            username: { type: "string" },
+            password: { type: "string" },
+          },
+        },
       },
       {
         path: "/oauth/device/code",
         upstreamPath: "/oauth/device/code",
         summary: "Create a device code for limited input devices",
+        methods: ["POST"],
+        body: {
+          type: "object",
+          required: ["client_id"],
+          properties: {
+            ...oauthClientProperties,
+            scope: { type: "string" },
+          },
+        },
       },
       {
         path: "/oauth/revoke",
         upstreamPath: "/oauth/revoke",
         summary: "Revoke access or refresh tokens",
+        methods: ["POST"],
+        body: {
+          type: "object",
+          required: ["token"],
+          properties: { token: { type: "string", minLength: 1 } },
+        },
       },
     ],
   },
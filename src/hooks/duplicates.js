@@ -0,0 +1,97 @@
+const createError = require("http-errors");
+const {
+  findDuplicateItem,
+  setItemSources,
+} = require("../services/upstreamItems");
+const { readAddRequest } = require("../utils/torrent");
+
+const addRoutes = {
+  "/seedbox/add": { kind: "seedbox", label: "Torrent" },
+  "/downloader/add": { kind: "downloader", label: "Link" },
+};
+
+// Upstream's current view of the item, so the answer carries its
+// downloadUrl. Null when upstream no longer lists it.
+const fetchExistingItem = async (user, kind, upstreamId) => {
+  // Required here: proxyEndpoints builds the pipelines that load this hook.
+  const { callEndpoint } = require("../services/proxyEndpoints");
+  const { data } = await callEndpoint(`/${kind}/list`, {
+    user,
+    query: { ids: upstreamId },
+    headers: { "cache-control": "no-cache" },
+  });
+  const items = Array.isArray(data?.value) ? data.value : [];
+
+  return items.find((item) => String(item?.id) === upstreamId) || null;
+};
+
+// Stops users from re-adding a torrent or link they already have. The
+// on_duplicate query option picks between answering with the existing item
+// (as upstream lists it, without adding it again), a 409, or adding it
+// anyway. When upstream no longer lists the item, `return` adds it again.
+// Relies on the ownership hook running first to fill ctx.addedItems.
+const duplicates = {
+  async beforeForward(ctx) {
+    const route = addRoutes[ctx.route];
+
+    if (!route) {
+      return;
+    }
+
+    const { on_duplicate: action = "return", ...query } = ctx.query;
+
+    ctx.query = query;
+    ctx.itemKeys = readAddRequest(ctx);
+
+    if (action === "allow") {
+      return;
+    }
+
+    const existing = await findDuplicateItem(
+      ctx.user._id,
+      route.kind,
+      ctx.itemKeys
+    );
+
+    if (!existing) {
+      return;
+    }
+
+    if (action === "reject") {
+      throw createError(409, `${route.label} has already been added`, {
+        code: "duplicate",
+        details: { id: existing.upstream_id },
+      });
+    }
+
+    const item = await fetchExistingItem(
+      ctx.user,
+      route.kind,
+      existing.upstream_id
+    );
+
+    if (!item) {
+      return;
+    }
+
+    ctx.audit.duplicate_of = existing.upstream_id;
+    ctx.response = {
+      status: 200,
+      headers: { "content-type": "application/json; charset=utf-8" },
+      data: { success: true, value: { ...item, duplicate: true } },
+    };
+  },
+
+  async afterForward(ctx) {
+    const route = addRoutes[ctx.route];
+    const ids = (ctx.addedItems || []).map((item) => item.id);
+
+    if (!route || ids.length === 0) {
+      return;
+    }
+
+    await setItemSources(ctx.user._id, route.kind, ids, ctx.itemKeys || {});
+  },
+};
+
+module.exports = duplicates;
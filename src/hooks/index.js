@@ -0,0 +1,34 @@
+const ownership = require("./ownership");
+const duplicates = require("./duplicates");
+const storageQuota = require("./storageQuota");
+const signedLinks = require("./signedLinks");
+
+// Named proxy hooks that endpoints opt into through `hooks` in endpoints.js.
+// A hook may implement beforeForward(ctx) to validate or reject a request
+// (or replace ctx.query) before it reaches upstream, and afterForward(ctx)
+// to act on (or rewrite) the buffered upstream response in ctx.response. A
+// beforeForward hook that sets ctx.response answers the call itself:
+// upstream is not called, no later beforeForward runs, and only the hooks
+// listed after it get afterForward on that answer. Hooks run in the order
+// an endpoint lists them, so producers such as ownership come first.
+const registry = {
+  ownership,
+  duplicates,
+  storageQuota,
+  signedLinks,
+};
+
+const resolveHooks = (names = []) =>
+  names.map((name) => {
+    const hook = registry[name];
+
+    if (!hook) {
+      throw new Error(`Unknown proxy hook ${name}`);
+    }
+
+    return hook;
+  });
+
+module.exports = {
+  resolveHooks,
+};
@@ -0,0 +1,137 @@
+const createError = require("http-errors");
+const { isAdmin } = require("../middleware/auth");
+const {
+  toItemList,
+  parseIdList,
+  recordUpstreamItems,
+  findUserItems,
+  removeUserItems,
+} = require("../services/upstreamItems");
+
+const addRoutes = {
+  "/seedbox/add": "seedbox",
+  "/downloader/add": "downloader",
+};
+
+const listRoutes = {
+  "/seedbox/list": "seedbox",
+  "/seedbox/activity": "seedbox",
+  "/downloader/list": "downloader",
+};
+
+const guardedRoutes = {
+  "/seedbox/:idTorrents/remove": { kind: "seedbox", param: "idTorrents" },
+  "/seedbox/:idTorrent/zip": { kind: "seedbox", param: "idTorrent" },
+  "/seedbox/:idTorrent/config": { kind: "seedbox", param: "idTorrent" },
+  "/downloader/:idLinks/remove": { kind: "downloader", param: "idLinks" },
+  "/files/:idParent/list": { kind: "seedbox", param: "idParent" },
+};
+
+const removeRoutes = new Set([
+  "/seedbox/:idTorrents/remove",
+  "/downloader/:idLinks/remove",
+]);
+
+const isUpstreamSuccess = (response) =>
+  response.status >= 200 &&
+  response.status < 300 &&
+  response.data?.success !== false;
+
+// All users share one upstream account, so the upstream_items ledger is the
+// only record of who owns which torrent or link. This hook keeps it current
+// and confines every user to their own items; admins see everything.
+//
+// It records ctx.addedItems and ctx.removedItems for hooks listed after it,
+// and ctx.itemAccountIds, the pool accounts of the items a call targets.
+const ownership = {
+  async beforeForward(ctx) {
+    const guard = guardedRoutes[ctx.route];
+
+    if (!guard || isAdmin(ctx.user)) {
+      return;
+    }
+
+    const requestedIds = parseIdList(ctx.params[guard.param]);
+    const owned = await findUserItems(ctx.user._id, guard.kind, requestedIds);
+    const ownedIds = new Set(owned.map((item) => item.upstream_id));
+    const foreignIds = requestedIds.filter((id) => !ownedIds.has(id));
+
+    if (requestedIds.length === 0 || foreignIds.length > 0) {
+      throw createError(404, `Unknown ${guard.kind} item`, {
+        code: "not_found",
+        details: { ids: foreignIds },
+      });
+    }
+
+    // Items added on a pool account the user has since been moved off are
+    // only reachable there. Items recorded before accounts were tracked
+    // have no account and are let through.
+    const movedIds = owned
+      .filter(
+        (item) =>
+          ctx.upstreamAccountId &&
+          item.upstream_account_id &&
+          !ctx.upstreamAccountId.equals(item.upstream_account_id)
+      )
+      .map((item) => item.upstream_id);
+
+    if (movedIds.length > 0) {
+      throw createError(
+        409,
+        "Item is on a Debrid-Link account the user has been moved off",
+        { code: "item_on_previous_account", details: { ids: movedIds } }
+      );
+    }
+
+    ctx.itemAccountIds = owned.map((item) => item.upstream_account_id);
+  },
+
+  async afterForward(ctx) {
+    if (!isUpstreamSuccess(ctx.response)) {
+      return;
+    }
+
+    const addKind = addRoutes[ctx.route];
+
+    if (addKind) {
+      ctx.addedItems = await recordUpstreamItems(
+        ctx.user._id,
+        addKind,
+        toItemList(ctx.response.data?.value),
+        { accountId: ctx.upstreamAccountId }
+      );
+      return;
+    }
+
+    if (removeRoutes.has(ctx.route)) {
+      const guard = guardedRoutes[ctx.route];
+      const removedIds = Array.isArray(ctx.response.data?.value)
+        ? ctx.response.data.value
+        : parseIdList(ctx.params[guard.param]);
+
+      ctx.removedItems = await removeUserItems(
+        ctx.user._id,
+        guard.kind,
+        removedIds
+      );
+      return;
+    }
+
+    const listKind = listRoutes[ctx.route];
+
+    if (
+      listKind &&
+      !isAdmin(ctx.user) &&
+      Array.isArray(ctx.response.data?.value)
+    ) {
+      const owned = await findUserItems(ctx.user._id, listKind);
+      const ownedIds = new Set(owned.map((item) => item.upstream_id));
+
+      ctx.response.data.value = ctx.response.data.value.filter((item) =>
+        ownedIds.has(String(item?.id))
+      );
+    }
+  },
+};
+
+module.exports = ownership;
@@ -0,0 +1,34 @@
+const config = require("../config");
+const { rewriteDownloadUrls } = require("../services/signedLinks");
+
+const linkKinds = {
+  "/downloader/add": "downloader",
+  "/downloader/list": "downloader",
+  "/seedbox/list": "seedbox",
+  "/files/:idParent/list": "files",
+};
+
+// Hands out short-lived /dl/:token URLs instead of the upstream download
+// URLs, so shared links stop working once they expire or the owner's storage
+// does. Disabled unless SIGNED_LINKS_ENABLED is set.
+const signedLinks = {
+  async afterForward(ctx) {
+    const kind = linkKinds[ctx.route];
+
+    if (
+      !config.signedLinksEnabled ||
+      !kind ||
+      !ctx.user?._id ||
+      ctx.response.data?.value == null
+    ) {
+      return;
+    }
+
+    ctx.response.data.value = rewriteDownloadUrls(ctx.response.data.value, {
+      userId: ctx.user._id,
+      kind,
+    });
+  },
+};
+
+module.exports = signedLinks;
@@ -0,0 +1,42 @@
+const {
+  ensureStorageAvailable,
+  bytesToStorageUnits,
+  adjustStorageUsed,
+} = require("../services/userStorage");
+const { readItemSize } = require("../services/upstreamItems");
+const { readAddRequest } = require("../utils/torrent");
+
+const addRoutes = new Set(["/seedbox/add", "/downloader/add"]);
+
+// Rejects adds from users whose storage expired or is fully used, or whose
+// magnet (xl) or .torrent file declares more than is left. Charges the size
+// reported upstream after a successful add, and refunds it when the items
+// are removed. Relies on the ownership hook running first to
+// fill ctx.addedItems and ctx.removedItems.
+const storageQuota = {
+  async beforeForward(ctx) {
+    if (addRoutes.has(ctx.route)) {
+      ctx.user = await ensureStorageAvailable(ctx.user, {
+        sizeBytes: readAddRequest(ctx).sizeBytes,
+      });
+    }
+  },
+
+  async afterForward(ctx) {
+    const addedBytes = (ctx.addedItems || []).reduce(
+      (sum, item) => sum + readItemSize(item),
+      0
+    );
+    const releasedBytes = (ctx.removedItems || []).reduce(
+      (sum, item) => sum + (item.size_bytes || 0),
+      0
+    );
+
+    await adjustStorageUsed(
+      ctx.user._id,
+      bytesToStorageUnits(addedBytes) - bytesToStorageUnits(releasedBytes)
+    );
+  },
+};
+
+module.exports = storageQuota;
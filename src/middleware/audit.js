@@ -0,0 +1,44 @@
+const { recordAuditEntry } = require("../services/auditLog");
+
+const readOnlyMethods = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Records one audit entry per request once the response is done. Handlers
+// can enrich the entry through res.locals.audit (e.g. the upstream status).
+const auditRequest =
+  ({ kind, mutatingOnly = false, route } = {}) =>
+  (req, res, next) => {
+    if (mutatingOnly && readOnlyMethods.has(req.method)) {
+      next();
+      return;
+    }
+
+    const startedAt = process.hrtime.bigint();
+
+    res.once("close", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1000000;
+
+      recordAuditEntry({
+        kind,
+        request_id: req.id || null,
+        route: route || `${req.baseUrl}${req.route?.path || ""}` || req.path,
+        method: req.method,
+        path: req.originalUrl,
+        user_id: req.authUser?._id || null,
+        ip: req.ip,
+        status: res.statusCode,
+        completed: res.writableFinished,
+        duration_ms: Math.round(durationMs),
+        params: req.params,
+        query: req.query,
+        ...(kind === "local" ? { body: req.body || null } : {}),
+        error: res.locals.errorMessage || null,
+        ...res.locals.audit,
+      });
+    });
+
+    next();
+  };
+
+module.exports = {
+  auditRequest,
+};
@@ -0,0 +1,90 @@
+const createError = require("http-errors");
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../services/mongoClient");
+const config = require("../config");
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const requireJwtSecret = () => {
+  if (!config.jwtSecret) {
+    throw createError(500, "JWT secret is not configured");
+  }
+
+  return config.jwtSecret;
+};
+
+const extractBearerToken = (authorizationHeader) => {
+  if (typeof authorizationHeader !== "string") {
+    throw createError(401, "Authorization token is required");
+  }
+
+  const [scheme, token] = authorizationHeader.trim().split(/\s+/);
+
+  if (scheme?.toLowerCase() !== "bearer" || !token) {
+    throw createError(401, "Authorization token is required");
+  }
+
+  return token;
+};
+
+const authenticateRequest = asyncHandler(async (req, _res, next) => {
+  let payload;
+
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+    payload = jwt.verify(token, requireJwtSecret());
+  } catch (error) {
+    throw createError(401, "Invalid token");
+  }
+
+  if (!payload?.sub || !ObjectId.isValid(payload.sub)) {
+    throw createError(401, "Invalid token");
+  }
+
+  const user = await usersCollection().findOne({
+    _id: new ObjectId(payload.sub),
+    deleted: false,
+  });
+
+  if (!user) {
+    throw createError(401, "Invalid token");
+  }
+
+  req.authUser = user;
+  next();
+});
+
+const isAdmin = (user) => (user?.role || "standard") === "admin";
+
+const ensureAdmin = (currentUser) => {
+  if (!isAdmin(currentUser)) {
+    throw createError(403, "Forbidden");
+  }
+};
+
+const ensureSelfAccess = (requestedUserId, currentUser) => {
+  if (!currentUser?._id) {
+    throw createError(401, "Invalid token");
+  }
+
+  if (isAdmin(currentUser)) {
+    return;
+  }
+
+  if (!currentUser._id.equals(requestedUserId)) {
+    throw createError(403, "Forbidden");
+  }
+};
+
+module.exports = {
+  requireJwtSecret,
+  extractBearerToken,
+  authenticateRequest,
+  isAdmin,
+  ensureAdmin,
+  ensureSelfAccess,
+};
@@ -0,0 +1,53 @@
+const {
+  toStatusClass,
+  secondsSince,
+  httpRequests,
+  httpRequestDuration,
+} = require("../services/metrics");
+
+// Express restores req.baseUrl once a request leaves a router (e.g. on its
+// way to the error handler), so the template is captured when a route
+// matches rather than when the response is done.
+const trackRouteTemplate = (req) => {
+  let route;
+  let template = "unmatched";
+
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      template = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  return () => template;
+};
+
+// Labels by route template rather than the raw path so ids and tokens do
+// not turn into one series each.
+const recordHttpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const readRoute = trackRouteTemplate(req);
+
+  res.once("close", () => {
+    const route = readRoute();
+
+    httpRequests.inc({
+      method: req.method,
+      route,
+      status_class: toStatusClass(res.statusCode),
+    });
+    httpRequestDuration.observe(
+      { method: req.method, route },
+      secondsSince(startedAt)
+    );
+  });
+
+  next();
+};
+
+module.exports = {
+  recordHttpMetrics,
+};
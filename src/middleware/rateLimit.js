@@ -0,0 +1,132 @@
+const createError = require("http-errors");
+const { getDb } = require("../services/mongoClient");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const rateLimitsCollection = () =>
+  getDb().collection(config.mongoRateLimitsCollection);
+
+const resolvePolicy = (policyName) => {
+  const policy = config.rateLimitPolicies[policyName];
+
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy ${policyName}`);
+  }
+
+  return policy;
+};
+
+const resolveClientKey = (req) =>
+  req.authUser?._id ? `user:${req.authUser._id.toString()}` : `ip:${req.ip}`;
+
+// Refill and take one token in a single atomic update so concurrent
+// instances sharing the collection agree on the bucket state.
+const takeToken = async (key, { capacity, refillPerSecond }) => {
+  const now = new Date();
+  const fullRefillMs = Math.ceil((capacity / refillPerSecond) * 1000);
+
+  return rateLimitsCollection().findOneAndUpdate(
+    { _id: key },
+    [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ["$tokens", capacity] },
+                  {
+                    $multiply: [
+                      {
+                        $divide: [
+                          {
+                            $subtract: [
+                              now,
+                              { $ifNull: ["$refilled_at", now] },
+                            ],
+                          },
+                          1000,
+                        ],
+                      },
+                      refillPerSecond,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+          refilled_at: now,
+        },
+      },
+      { $set: { allowed: { $gte: ["$tokens", 1] } } },
+      {
+        $set: {
+          tokens: {
+            $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+          },
+          expires_at: new Date(now.getTime() + fullRefillMs),
+        },
+      },
+    ],
+    { upsert: true, returnDocument: "after" }
+  );
+};
+
+const setRateLimitHeaders = (res, policy, bucket) => {
+  const missingTokens = policy.capacity - bucket.tokens;
+
+  res.setHeader("RateLimit-Limit", String(policy.capacity));
+  res.setHeader("RateLimit-Remaining", String(Math.floor(bucket.tokens)));
+  res.setHeader(
+    "RateLimit-Reset",
+    String(Math.ceil(missingTokens / policy.refillPerSecond))
+  );
+};
+
+const rateLimit = (policyName) => {
+  const policy = resolvePolicy(policyName);
+
+  return asyncHandler(async (req, res, next) => {
+    if (!config.rateLimitEnabled) {
+      next();
+      return;
+    }
+
+    let bucket;
+
+    try {
+      bucket = await takeToken(
+        `${policyName}:${resolveClientKey(req)}`,
+        policy
+      );
+    } catch (error) {
+      // Fail open: a Mongo hiccup should not take the whole API down.
+      logger.error("Rate limit check failed", { error });
+      next();
+      return;
+    }
+
+    setRateLimitHeaders(res, policy, bucket);
+
+    if (!bucket.allowed) {
+      const retryAfterSeconds = Math.ceil(
+        (1 - bucket.tokens) / policy.refillPerSecond
+      );
+
+      throw createError(429, "Too many requests", {
+        code: "rate_limited",
+        headers: { "Retry-After": String(Math.max(1, retryAfterSeconds)) },
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  rateLimit,
+};
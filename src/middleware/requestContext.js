@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const { logger, runWithRequestContext } = require("../utils/logger");
+
+// Client-supplied ids are reused only when they are safe to echo and log.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const resolveRequestId = (value) =>
+  typeof value === "string" && REQUEST_ID_PATTERN.test(value)
+    ? value
+    : crypto.randomUUID();
+
+// Signed download tokens are credentials, so they never reach the logs.
+const toLoggedPath = (url) =>
+  url.split("?")[0].replace(/^\/dl\/[^/]+/, "/dl/[REDACTED]");
+
+const levelForStatus = (status) => {
+  if (status >= 500) {
+    return "error";
+  }
+
+  return status >= 400 ? "warn" : "info";
+};
+
+// Assigns the request id, echoes it as X-Request-Id and writes one access
+// line per request once the response is done (or the client went away).
+// Batch sub-requests arrive with the outer request's id already set.
+const requestContext = (req, res, next) => {
+  const requestId = req.id || resolveRequestId(req.get("x-request-id"));
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  res.once("close", () => {
+    runWithRequestContext({ requestId }, () => {
+      logger[levelForStatus(res.statusCode)]("Request completed", {
+        method: req.method,
+        path: toLoggedPath(req.originalUrl),
+        status: res.statusCode,
+        duration_ms:
+          Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        bytes: Number(res.getHeader("content-length")) || null,
+        user_id: req.authUser?._id?.toString() || null,
+        ip: req.ip,
+        aborted: !res.writableFinished,
+      });
+    });
+  });
+
+  runWithRequestContext({ requestId }, next);
+};
+
+module.exports = {
+  requestContext,
+};
@@ -0,0 +1,273 @@
+const { version, license } = require("../../package.json");
+const schemas = require("./schemas");
+const localRoutes = require("./localRoutes");
+
+const SCHEMA_PREFIX = "#/components/schemas/";
+// Keywords understood by src/utils/schemaValidator but not by JSON Schema.
+const VALIDATOR_ONLY_KEYWORDS = ["patternDescription"];
+
+const schemaRef = (name) => ({ $ref: `${SCHEMA_PREFIX}${name}` });
+
+// Local descriptors refer to schemas by bare name for brevity.
+const resolveSchema = (schema) => {
+  if (typeof schema === "string") {
+    return schemaRef(schema);
+  }
+
+  if (schema?.items?.$ref && !schema.items.$ref.startsWith("#")) {
+    return { ...schema, items: schemaRef(schema.items.$ref) };
+  }
+
+  return schema;
+};
+
+const toOpenApiPath = (expressPath) =>
+  expressPath.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+
+// e.g. get + /users/:id/debrid-link -> getUsersIdDebridLink
+const buildOperationId = (method, path) =>
+  `${method}${path
+    .replace(/[:{}]/g, "")
+    .replace(/[/_-]+(\w)/g, (_, char) => char.toUpperCase())}`;
+
+const toDocSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toDocSchema);
+  }
+
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !VALIDATOR_ONLY_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, toDocSchema(value)])
+  );
+};
+
+const splitDescription = ({ description, ...schema }) => ({
+  ...(description ? { description } : {}),
+  schema: toDocSchema(schema),
+});
+
+const listPathParams = (expressPath, paramsSchema) =>
+  Array.from(expressPath.matchAll(/:([A-Za-z0-9_]+)/g), ([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    ...splitDescription(paramsSchema?.properties?.[name] || { type: "string" }),
+  }));
+
+const listQueryParams = (querySchema) =>
+  Object.entries(querySchema?.properties || {}).map(([name, schema]) => ({
+    name,
+    in: "query",
+    required: (querySchema.required || []).includes(name),
+    ...splitDescription(schema),
+  }));
+
+const successEnvelope = (valueSchema) => ({
+  type: "object",
+  required: ["success", "value"],
+  properties: {
+    success: { const: true },
+    value: valueSchema,
+  },
+});
+
+const jsonContent = (schema) => ({ "application/json": { schema } });
+
+const errorResponse = (description) => ({
+  description,
+  content: jsonContent(schemaRef("ErrorEnvelope")),
+});
+
+const buildProxyOperation = (group, endpoint, method) => {
+  const authenticated = group.useUserToken ?? true;
+  const operation = {
+    tags: [`Debrid-Link ${endpoint.path.split("/")[1]}`],
+    summary: endpoint.summary,
+    operationId: buildOperationId(method, endpoint.path),
+    parameters: [
+      ...listPathParams(endpoint.path, endpoint.params),
+      ...listQueryParams(endpoint.query),
+    ],
+    responses: {
+      200: {
+        description: "Debrid-Link response",
+        content: jsonContent(schemaRef("DebridLinkEnvelope")),
+      },
+      400: errorResponse("Invalid path, query or body parameters"),
+      401: errorResponse("Missing or invalid JWT"),
+      405: errorResponse("Method not allowed"),
+      429: errorResponse("Rate limit exceeded"),
+      502: errorResponse("Upstream request failed"),
+      503: errorResponse("Upstream circuit breaker is open"),
+      504: errorResponse("Upstream request timed out"),
+    },
+    security: [{ bearerAuth: [] }],
+  };
+
+  if (method !== "get" && method !== "delete") {
+    const bodySchema = toDocSchema(endpoint.body || { type: "object" });
+
+    operation.requestBody = {
+      required: Boolean(endpoint.body?.required?.length),
+      content: {
+        "application/json": { schema: bodySchema },
+        "application/x-www-form-urlencoded": { schema: bodySchema },
+        "multipart/form-data": { schema: { type: "object" } },
+      },
+    };
+  }
+
+  if (endpoint.hooks?.includes("duplicates")) {
+    operation.responses[409] = errorResponse(
+      "Already added and on_duplicate=reject"
+    );
+  }
+
+  if (!authenticated) {
+    operation.description =
+      "Forwarded without a Debrid-Link token; send OAuth client credentials in the body.";
+  }
+
+  return operation;
+};
+
+const buildLocalOperation = (tag, route) => {
+  const operation = {
+    tags: [tag],
+    summary: route.summary,
+    operationId: buildOperationId(route.method, route.path),
+    parameters: (route.parameters || []).map((parameter) => ({
+      schema: { type: "string" },
+      ...parameter,
+    })),
+    responses: {
+      [route.status || 200]: route.redirect
+        ? {
+            description: route.redirect,
+            headers: {
+              Location: { schema: { type: "string", format: "uri" } },
+            },
+          }
+        : {
+            description: "Success",
+            content: route.eventStream
+              ? { "text/event-stream": { schema: { type: "string" } } }
+              : jsonContent(successEnvelope(resolveSchema(route.response))),
+          },
+      400: errorResponse("Invalid payload"),
+      404: errorResponse("Resource not found"),
+    },
+  };
+
+  if (route.binary) {
+    operation.responses[200] = {
+      description: route.binary,
+      content: {
+        "application/octet-stream": {
+          schema: { type: "string", format: "binary" },
+        },
+      },
+    };
+  }
+
+  if (route.text) {
+    operation.responses[200] = {
+      description: route.text,
+      content: { "text/plain": { schema: { type: "string" } } },
+    };
+  }
+
+  Object.entries(route.errors || {}).forEach(([status, description]) => {
+    operation.responses[status] = errorResponse(description);
+  });
+
+  if (route.requestBody) {
+    operation.requestBody = {
+      required: true,
+      content: jsonContent(resolveSchema(route.requestBody)),
+    };
+  }
+
+  if (route.security) {
+    operation.security = route.security;
+  } else if (route.public) {
+    operation.security = [];
+  } else {
+    operation.responses[401] = errorResponse("Missing or invalid JWT");
+    operation.responses[403] = errorResponse("Forbidden");
+  }
+
+  return operation;
+};
+
+const addOperation = (paths, path, method, operation) => {
+  paths[path] = paths[path] || {};
+  paths[path][method] = operation;
+};
+
+const buildOpenApiDocument = ({ endpointGroups, serverUrl } = {}) => {
+  const paths = {};
+
+  localRoutes.forEach(({ tag, routes }) => {
+    routes.forEach((route) => {
+      addOperation(
+        paths,
+        route.path,
+        route.method,
+        buildLocalOperation(tag, route)
+      );
+    });
+  });
+
+  endpointGroups.forEach((group) => {
+    group.endpoints.forEach((endpoint) => {
+      // Endpoints without declared methods are mounted for every method.
+      const methods = endpoint.methods?.length
+        ? endpoint.methods.map((method) => method.toLowerCase())
+        : ["get", "post"];
+
+      methods.forEach((method) => {
+        addOperation(
+          paths,
+          toOpenApiPath(endpoint.path),
+          method,
+          buildProxyOperation(group, endpoint, method)
+        );
+      });
+    });
+  });
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Debrid-Link proxy API",
+      version,
+      license: { name: license, identifier: license },
+      description:
+        "Local account management plus an authenticated proxy for the Debrid-Link v2 API.",
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        metricsToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "The METRICS_TOKEN configured on the server.",
+        },
+      },
+      schemas,
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
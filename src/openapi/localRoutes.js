@@ -0,0 +1,448 @@
+// Descriptions of the Mongo-backed routers for the OpenAPI document. Keep
+// these in sync with src/routes when a route or payload changes.
+const idParam = { name: "id", in: "path", required: true };
+const includeDeletedParam = {
+  name: "includeDeleted",
+  in: "query",
+  schema: { type: "boolean" },
+};
+
+const localRoutes = [
+  {
+    tag: "Users",
+    routes: [
+      {
+        method: "get",
+        path: "/users",
+        summary: "List users (admins) or the caller's own user",
+        parameters: [includeDeletedParam],
+        response: { type: "array", items: { $ref: "User" } },
+      },
+      {
+        method: "post",
+        path: "/users",
+        summary: "Create a user",
+        requestBody: "UserCreate",
+        status: 201,
+        response: "User",
+      },
+      {
+        method: "get",
+        path: "/users/{id}",
+        summary: "Fetch a user",
+        parameters: [idParam],
+        response: "User",
+      },
+      {
+        method: "put",
+        path: "/users/{id}",
+        summary: "Update a user",
+        parameters: [idParam],
+        requestBody: "UserUpdate",
+        response: "User",
+      },
+      {
+        method: "delete",
+        path: "/users/{id}",
+        summary: "Soft-delete a user",
+        parameters: [idParam],
+        response: "User",
+      },
+      {
+        method: "post",
+        path: "/users/login",
+        summary: "Log in and obtain a JWT",
+        public: true,
+        requestBody: "Credentials",
+        response: "AuthResult",
+      },
+      {
+        method: "post",
+        path: "/users/register/request-verification",
+        summary: "Send an email verification token",
+        public: true,
+        requestBody: "Credentials",
+        status: 202,
+        response: "Message",
+      },
+      {
+        method: "post",
+        path: "/users/register",
+        summary: "Create an account with a verification token",
+        public: true,
+        requestBody: "Registration",
+        status: 201,
+        response: "AuthResult",
+      },
+      {
+        method: "post",
+        path: "/users/reset-password/request",
+        summary: "Email password reset instructions",
+        public: true,
+        requestBody: "EmailRequest",
+        response: "Message",
+      },
+      {
+        method: "post",
+        path: "/users/reset-password/confirm",
+        summary: "Set a new password with a reset token",
+        public: true,
+        requestBody: "PasswordResetConfirm",
+        response: "Message",
+      },
+      {
+        method: "get",
+        path: "/users/{id}/debrid-link",
+        summary: "Report the linked Debrid-Link account status",
+        parameters: [idParam],
+        response: "CredentialStatus",
+      },
+      {
+        method: "put",
+        path: "/users/{id}/debrid-link",
+        summary: "Link Debrid-Link OAuth credentials",
+        parameters: [idParam],
+        requestBody: "CredentialLink",
+        response: "CredentialStatus",
+      },
+      {
+        method: "delete",
+        path: "/users/{id}/debrid-link",
+        summary: "Unlink Debrid-Link OAuth credentials",
+        parameters: [idParam],
+        response: "CredentialStatus",
+      },
+      {
+        method: "post",
+        path: "/users/{id}/upstream-items",
+        summary:
+          "Assign upstream items added before the ownership ledger to a user (admin only)",
+        parameters: [idParam],
+        requestBody: "ItemClaim",
+        response: "ItemClaimResult",
+        errors: {
+          404: "An id is not on the upstream account",
+          409: "An item belongs to another user",
+        },
+      },
+    ],
+  },
+  {
+    tag: "Transactions",
+    routes: [
+      {
+        method: "get",
+        path: "/transactions",
+        summary: "List transactions",
+        public: true,
+        parameters: [
+          includeDeletedParam,
+          { name: "userId", in: "query" },
+          { name: "userEmail", in: "query" },
+          { name: "orderKey", in: "query" },
+          { name: "status", in: "query" },
+        ],
+        response: { type: "array", items: { $ref: "Transaction" } },
+      },
+      {
+        method: "post",
+        path: "/transactions",
+        summary: "Create a transaction",
+        public: true,
+        requestBody: "TransactionCreate",
+        status: 201,
+        response: "Transaction",
+      },
+      {
+        method: "get",
+        path: "/transactions/{id}",
+        summary: "Fetch a transaction",
+        public: true,
+        parameters: [idParam],
+        response: "Transaction",
+      },
+      {
+        method: "put",
+        path: "/transactions/{id}",
+        summary: "Update a transaction",
+        public: true,
+        parameters: [idParam],
+        requestBody: "TransactionUpdate",
+        response: "Transaction",
+      },
+      {
+        method: "delete",
+        path: "/transactions/{id}",
+        summary: "Soft-delete a transaction",
+        public: true,
+        parameters: [idParam],
+        response: "Transaction",
+      },
+    ],
+  },
+  {
+    tag: "Gift cards",
+    routes: [
+      {
+        method: "post",
+        path: "/gift-cards",
+        summary: "Generate a gift card",
+        public: true,
+        requestBody: "GiftCardCreate",
+        status: 201,
+        response: "GiftCard",
+      },
+      {
+        method: "post",
+        path: "/gift-cards/redeem",
+        summary: "Redeem a gift card for a user",
+        public: true,
+        requestBody: "GiftCardRedeem",
+        response: "GiftCardRedemption",
+      },
+    ],
+  },
+  {
+    tag: "Me",
+    routes: [
+      {
+        method: "get",
+        path: "/me/dashboard",
+        summary:
+          "Account, limits and activity from Debrid-Link plus the local user",
+        response: "Dashboard",
+      },
+      {
+        method: "get",
+        path: "/me/notifications",
+        summary: "Get torrent notification settings",
+        response: "NotificationSettings",
+      },
+      {
+        method: "put",
+        path: "/me/notifications",
+        summary: "Choose torrent events and delivery channels",
+        requestBody: "NotificationSettings",
+        response: "NotificationSettings",
+      },
+      {
+        method: "get",
+        path: "/me/events",
+        summary: "List torrent state changes detected by the watcher",
+        parameters: ["type", "limit", "offset"].map((name) => ({
+          name,
+          in: "query",
+        })),
+        response: "TorrentEventPage",
+      },
+    ],
+  },
+  {
+    tag: "Debrid-Link seedbox",
+    routes: [
+      {
+        method: "get",
+        path: "/seedbox/stream",
+        summary:
+          "Server-Sent Events with torrent progress diffs (snapshot, progress, heartbeat, upstream-error)",
+        parameters: [
+          { name: "Last-Event-ID", in: "header" },
+          { name: "lastEventId", in: "query" },
+        ],
+        eventStream: true,
+      },
+    ],
+  },
+  {
+    tag: "Batch",
+    routes: [
+      {
+        method: "post",
+        path: "/batch",
+        summary: "Run several proxied or local calls in one request",
+        requestBody: "BatchRequest",
+        response: { type: "array", items: { $ref: "BatchResult" } },
+      },
+    ],
+  },
+  {
+    tag: "Audit log",
+    routes: [
+      {
+        method: "get",
+        path: "/audit-log",
+        summary: "Query audit entries (admin only)",
+        parameters: [
+          "userId",
+          "route",
+          "kind",
+          "method",
+          "status",
+          "from",
+          "to",
+          "limit",
+          "offset",
+        ].map((name) => ({ name, in: "query" })),
+        response: "AuditLogPage",
+      },
+    ],
+  },
+  {
+    tag: "Downloads",
+    routes: [
+      {
+        method: "get",
+        path: "/dl/{token}",
+        summary:
+          "Redeem a signed download link (redirects, or streams when SIGNED_LINK_MODE=stream)",
+        public: true,
+        parameters: [{ name: "token", in: "path", required: true }],
+        status: 302,
+        redirect: "Redirect to the upstream file",
+        binary: "File contents when SIGNED_LINK_MODE=stream",
+        errors: {
+          403: "Invalid link, or the owner's storage has expired",
+          410: "Link has expired",
+        },
+      },
+    ],
+  },
+  {
+    tag: "Upstream accounts",
+    routes: [
+      {
+        method: "get",
+        path: "/upstream-accounts",
+        summary: "Show pool health and utilization (admin only)",
+        response: "UpstreamAccountPool",
+      },
+      {
+        method: "post",
+        path: "/upstream-accounts",
+        summary: "Add a Debrid-Link account to the pool (admin only)",
+        status: 201,
+        requestBody: "UpstreamAccountInput",
+        response: "UpstreamAccount",
+      },
+      {
+        method: "get",
+        path: "/upstream-accounts/{id}",
+        summary: "Get a pool account (admin only)",
+        parameters: [idParam],
+        response: "UpstreamAccount",
+      },
+      {
+        method: "put",
+        path: "/upstream-accounts/{id}",
+        summary: "Update a pool account's label, token or enabled flag",
+        parameters: [idParam],
+        requestBody: "UpstreamAccountInput",
+        response: "UpstreamAccount",
+      },
+      {
+        method: "delete",
+        path: "/upstream-accounts/{id}",
+        summary: "Remove a pool account and release its users",
+        parameters: [idParam],
+        response: { type: "object", properties: { id: { type: "string" } } },
+      },
+      {
+        method: "post",
+        path: "/upstream-accounts/{id}/check",
+        summary: "Refresh a pool account's limits now",
+        parameters: [idParam],
+        response: "UpstreamAccount",
+      },
+    ],
+  },
+  {
+    tag: "RSS automation",
+    routes: [
+      {
+        method: "get",
+        path: "/rss/feeds",
+        summary: "List the caller's RSS feeds",
+        response: { type: "array", items: { $ref: "RssFeed" } },
+      },
+      {
+        method: "post",
+        path: "/rss/feeds",
+        summary: "Subscribe to an RSS feed with match rules",
+        requestBody: "RssFeedInput",
+        status: 201,
+        response: "RssFeed",
+        errors: { 409: "RSS_MAX_FEEDS_PER_USER reached" },
+      },
+      {
+        method: "get",
+        path: "/rss/feeds/{id}",
+        summary: "Fetch an RSS feed",
+        parameters: [idParam],
+        response: "RssFeed",
+      },
+      {
+        method: "put",
+        path: "/rss/feeds/{id}",
+        summary: "Update an RSS feed; a new URL restarts its seen items",
+        parameters: [idParam],
+        requestBody: "RssFeedInput",
+        response: "RssFeed",
+      },
+      {
+        method: "delete",
+        path: "/rss/feeds/{id}",
+        summary: "Remove an RSS feed (its history is kept)",
+        parameters: [idParam],
+        response: { type: "object", properties: { id: { type: "string" } } },
+      },
+      {
+        method: "post",
+        path: "/rss/feeds/{id}/check",
+        summary: "Check an RSS feed now and add matching items",
+        parameters: [idParam],
+        response: "RssCheckSummary",
+      },
+      {
+        method: "get",
+        path: "/rss/history",
+        summary: "List items matched by the caller's feeds, newest first",
+        parameters: ["feed_id", "status", "limit", "offset"].map((name) => ({
+          name,
+          in: "query",
+        })),
+        response: "RssMatchPage",
+      },
+    ],
+  },
+  {
+    tag: "Monitoring",
+    routes: [
+      {
+        method: "get",
+        path: "/health/live",
+        summary: "Liveness probe; answers while the process is up",
+        public: true,
+        response: "Liveness",
+      },
+      {
+        method: "get",
+        path: "/health/ready",
+        summary:
+          "Readiness probe checking Mongo, Debrid-Link and MailerSend (503 while not ready or shutting down)",
+        public: true,
+        response: "Readiness",
+        errors: { 503: "Mongo is unreachable or the server is draining" },
+      },
+      {
+        method: "get",
+        path: "/metrics",
+        summary: "Prometheus metrics (404 unless METRICS_TOKEN is set)",
+        security: [{ metricsToken: [] }],
+        text: "Metrics in the Prometheus text exposition format",
+        errors: { 401: "Missing or invalid metrics token" },
+      },
+    ],
+  },
+];
+
+module.exports = localRoutes;
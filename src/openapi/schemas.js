@@ -0,0 +1,597 @@
+// Component schemas shared by the generated OpenAPI document.
+const isoDate = { type: "string", format: "date-time" };
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+
+const schemas = {
+  ErrorEnvelope: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { const: false },
+      error: { type: "string" },
+      code: {
+        type: ["string", "null"],
+        description:
+          "Stable machine-readable error code, e.g. not_found or limit_reached.",
+      },
+      details: {
+        description:
+          "Validation errors, or for upstream errors the Debrid-Link status and body.",
+      },
+    },
+  },
+  DebridLinkEnvelope: {
+    type: "object",
+    description:
+      "Debrid-Link v2 success response relayed as returned upstream.",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      value: {},
+      pagination: { type: "object" },
+      error: { type: "string" },
+    },
+  },
+  Message: {
+    type: "object",
+    properties: { message: { type: "string" } },
+  },
+  User: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      email: { type: "string", format: "email" },
+      storage_all: { type: "number" },
+      storage_used: { type: "number" },
+      storage_expired_at: nullable(isoDate),
+      deleted: { type: "boolean" },
+      role: { type: "string" },
+      created_at: isoDate,
+      updated_at: isoDate,
+      last_login_at: nullable(isoDate),
+    },
+  },
+  UserCreate: {
+    type: "object",
+    required: ["email", "password", "storage_all", "storage_used"],
+    properties: {
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 6 },
+      storage_all: { type: "number", minimum: 0 },
+      storage_used: { type: "number", minimum: 0 },
+      role: { type: "string" },
+      deleted: { type: "boolean" },
+    },
+  },
+  UserUpdate: {
+    type: "object",
+    minProperties: 1,
+    properties: {
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 6 },
+      storage_all: { type: "number", minimum: 0 },
+      storage_used: { type: "number", minimum: 0 },
+      storage_expired_at: nullable(isoDate),
+      deleted: { type: "boolean" },
+      role: { type: "string" },
+    },
+  },
+  Credentials: {
+    type: "object",
+    required: ["email", "password"],
+    properties: {
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 6 },
+    },
+  },
+  EmailRequest: {
+    type: "object",
+    required: ["email"],
+    properties: { email: { type: "string", format: "email" } },
+  },
+  PasswordResetConfirm: {
+    type: "object",
+    required: ["token", "password"],
+    properties: {
+      token: { type: "string" },
+      password: { type: "string", minLength: 6 },
+    },
+  },
+  Registration: {
+    type: "object",
+    required: [
+      "verification_token",
+      "email",
+      "password",
+      "storage_all",
+      "storage_used",
+    ],
+    properties: {
+      verification_token: { type: "string" },
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 6 },
+      storage_all: { type: "number", minimum: 0 },
+      storage_used: { type: "number", minimum: 0 },
+    },
+  },
+  AuthResult: {
+    type: "object",
+    properties: {
+      user: { $ref: "#/components/schemas/User" },
+      token: {
+        type: "string",
+        description: "JWT for the Authorization header",
+      },
+    },
+  },
+  CredentialStatus: {
+    type: "object",
+    properties: {
+      linked: { type: "boolean" },
+      has_refresh_token: { type: "boolean" },
+      expires_at: nullable(isoDate),
+      scope: { type: ["string", "null"] },
+      linked_at: nullable(isoDate),
+      updated_at: nullable(isoDate),
+    },
+  },
+  CredentialLink: {
+    type: "object",
+    required: ["access_token"],
+    properties: {
+      access_token: { type: "string" },
+      refresh_token: { type: "string" },
+      expires_in: { type: "number", description: "Lifetime in seconds" },
+      scope: { type: "string" },
+    },
+  },
+  ItemClaim: {
+    type: "object",
+    required: ["kind"],
+    properties: {
+      kind: { enum: ["seedbox", "downloader"] },
+      ids: { type: "array", items: { type: "string" }, minItems: 1 },
+      all: {
+        type: "boolean",
+        description: "Assign every item nobody owns yet instead of ids.",
+      },
+    },
+  },
+  ItemClaimResult: {
+    type: "object",
+    properties: {
+      kind: { type: "string" },
+      claimed: { type: "array", items: { type: "string" } },
+      skipped: {
+        type: "array",
+        items: { type: "string" },
+        description: "Items that already had an owner.",
+      },
+    },
+  },
+  Transaction: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      user_id: { type: "string" },
+      user_email: { type: "string", format: "email" },
+      order_amount: { type: "number" },
+      order_date: isoDate,
+      order_key: { type: "string" },
+      order_desc: { type: "string" },
+      status: { type: ["string", "null"] },
+      currency: { type: ["string", "null"] },
+      payment_method: { type: ["string", "null"] },
+      payment_reference: { type: ["string", "null"] },
+      metadata: { type: "object" },
+      deleted: { type: "boolean" },
+      created_at: isoDate,
+      updated_at: isoDate,
+    },
+  },
+  TransactionCreate: {
+    type: "object",
+    required: [
+      "user_id",
+      "user_email",
+      "order_amount",
+      "order_date",
+      "order_key",
+      "order_desc",
+    ],
+    properties: {
+      user_id: { type: "string" },
+      user_email: { type: "string", format: "email" },
+      order_amount: { type: "number", minimum: 0 },
+      order_date: isoDate,
+      order_key: { type: "string", maxLength: 120 },
+      order_desc: { type: "string", maxLength: 1000 },
+      status: { type: "string", maxLength: 60 },
+      currency: { type: "string", maxLength: 10 },
+      payment_method: { type: "string", maxLength: 60 },
+      payment_reference: { type: "string", maxLength: 120 },
+      metadata: { type: "object" },
+    },
+  },
+  TransactionUpdate: {
+    type: "object",
+    minProperties: 1,
+    properties: {
+      user_id: { type: "string" },
+      user_email: { type: "string", format: "email" },
+      order_amount: { type: "number", minimum: 0 },
+      order_date: isoDate,
+      order_key: { type: "string", maxLength: 120 },
+      order_desc: { type: "string", maxLength: 1000 },
+      status: { type: ["string", "null"] },
+      currency: { type: ["string", "null"] },
+      payment_method: { type: ["string", "null"] },
+      payment_reference: { type: ["string", "null"] },
+      metadata: { type: "object" },
+      deleted: { type: "boolean" },
+    },
+  },
+  GiftCard: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      card_number: { type: "string", example: "ABCDE-12345-FGHIJ" },
+      storage: { type: "number" },
+      value: { type: "number" },
+      used: { type: "boolean" },
+      used_by: {
+        type: ["object", "null"],
+        properties: {
+          user_id: { type: ["string", "null"] },
+          email: { type: ["string", "null"] },
+        },
+      },
+      metadata: { type: "object" },
+      created_at: isoDate,
+      updated_at: isoDate,
+    },
+  },
+  GiftCardCreate: {
+    type: "object",
+    required: ["storage", "value"],
+    properties: {
+      storage: { type: "number", exclusiveMinimum: 0 },
+      value: { type: "number", exclusiveMinimum: 0 },
+      metadata: { type: "object" },
+    },
+  },
+  GiftCardRedeem: {
+    type: "object",
+    required: ["user_id", "card_number"],
+    properties: {
+      user_id: { type: "string" },
+      card_number: { type: "string" },
+    },
+  },
+  GiftCardRedemption: {
+    type: "object",
+    properties: {
+      card: { $ref: "#/components/schemas/GiftCard" },
+      redeem: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          card_number: { type: "string" },
+          storage_allocated: { type: "number" },
+          storage_expired_at: isoDate,
+          redeemed_at: isoDate,
+        },
+      },
+      user: {
+        type: ["object", "null"],
+        properties: {
+          id: { type: "string" },
+          email: { type: "string" },
+          storage_all: { type: "number" },
+          storage_used: { type: "number" },
+          storage_expired_at: isoDate,
+        },
+      },
+    },
+  },
+  DashboardSectionError: {
+    type: "object",
+    properties: {
+      status: { type: "integer" },
+      error: { type: "string" },
+    },
+  },
+  Dashboard: {
+    type: "object",
+    properties: {
+      user: { $ref: "#/components/schemas/User" },
+      account: { type: ["object", "null"] },
+      seedboxLimits: { type: ["object", "null"] },
+      downloaderLimits: { type: ["object", "null"] },
+      seedboxActivity: { type: ["array", "object", "null"] },
+      errors: {
+        type: "object",
+        description: "Sections whose upstream call failed, keyed by name",
+        additionalProperties: {
+          $ref: "#/components/schemas/DashboardSectionError",
+        },
+      },
+    },
+  },
+  NotificationSettings: {
+    type: "object",
+    properties: {
+      events: {
+        type: "array",
+        items: {
+          type: "string",
+          enum: ["added", "downloading", "finished", "error"],
+        },
+      },
+      email: { type: "boolean" },
+      webhook_url: { type: ["string", "null"], format: "uri" },
+      webhook_secret: {
+        type: ["string", "null"],
+        readOnly: true,
+        description: "HMAC-SHA256 key for X-Webhook-Signature",
+      },
+      rotate_webhook_secret: { type: "boolean", writeOnly: true },
+    },
+  },
+  TorrentEventPage: {
+    type: "object",
+    properties: {
+      events: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            type: { type: "string" },
+            torrent_id: { type: "string" },
+            name: { type: ["string", "null"] },
+            created_at: isoDate,
+            notifications: {
+              type: "object",
+              additionalProperties: { enum: ["sent", "failed"] },
+            },
+          },
+        },
+      },
+      total: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+    },
+  },
+  BatchRequest: {
+    type: "object",
+    required: ["requests"],
+    properties: {
+      requests: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["path"],
+          properties: {
+            method: {
+              type: "string",
+              enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+              default: "GET",
+            },
+            path: { type: "string", examples: ["/seedbox/abc/remove"] },
+            query: { type: "object" },
+            body: {},
+          },
+        },
+      },
+      concurrency: { type: "integer", minimum: 1 },
+      stopOnError: { type: "boolean", default: false },
+    },
+  },
+  BatchResult: {
+    type: "object",
+    properties: {
+      status: { type: "integer" },
+      body: {},
+    },
+  },
+  UpstreamAccount: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      label: { type: "string" },
+      enabled: { type: "boolean" },
+      status: { enum: ["active", "limited", "revoked"] },
+      eligible: {
+        type: "boolean",
+        description: "Whether new requests can currently use this account.",
+      },
+      utilization: {
+        type: ["number", "null"],
+        description: "Highest used/max ratio from the last limits check.",
+      },
+      limits: {
+        type: ["object", "null"],
+        description: "Last seedbox and downloader limits returned upstream.",
+      },
+      limited_until: nullable(isoDate),
+      last_error: { type: ["object", "null"] },
+      checked_at: nullable(isoDate),
+      assigned_users: { type: "integer" },
+      created_at: isoDate,
+      updated_at: isoDate,
+    },
+  },
+  UpstreamAccountInput: {
+    type: "object",
+    properties: {
+      label: { type: "string" },
+      access_token: { type: "string" },
+      enabled: { type: "boolean" },
+    },
+  },
+  UpstreamAccountPool: {
+    type: "object",
+    properties: {
+      accounts: {
+        type: "array",
+        items: { $ref: "#/components/schemas/UpstreamAccount" },
+      },
+      summary: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          eligible: { type: "integer" },
+          limited: { type: "integer" },
+          revoked: { type: "integer" },
+          disabled: { type: "integer" },
+          assigned_users: { type: "integer" },
+          average_utilization: { type: ["number", "null"] },
+        },
+      },
+    },
+  },
+  Liveness: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ok"] },
+      uptime: { type: "number" },
+      timestamp: { type: "string" },
+    },
+  },
+  Readiness: {
+    type: "object",
+    properties: {
+      status: {
+        type: "string",
+        enum: ["ready", "degraded", "not_ready", "draining"],
+      },
+      timestamp: { type: "string" },
+      components: {
+        type: "object",
+        description:
+          "mongo, api, oauth and mailersend, each with a status of ok, down or not_configured.",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            status: { type: "string" },
+            latency_ms: { type: "integer" },
+            http_status: { type: "integer" },
+            circuit: { type: ["object", "null"] },
+          },
+        },
+      },
+    },
+  },
+  RssRule: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      include: {
+        type: ["string", "null"],
+        description:
+          "Case-insensitive regular expression the title must match.",
+      },
+      exclude: {
+        type: ["string", "null"],
+        description:
+          "Case-insensitive regular expression that rejects a title.",
+      },
+      min_size_bytes: { type: ["integer", "null"], minimum: 0 },
+      max_size_bytes: { type: ["integer", "null"], minimum: 0 },
+      dedupe_episodes: {
+        type: "boolean",
+        default: true,
+        description: "Add only the first release of each SxxEyy episode.",
+      },
+    },
+  },
+  RssFeed: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      url: { type: "string", format: "uri" },
+      enabled: { type: "boolean" },
+      add_existing: { type: "boolean" },
+      rules: { type: "array", items: { $ref: "#/components/schemas/RssRule" } },
+      last_checked_at: nullable(isoDate),
+      last_added_at: nullable(isoDate),
+      last_error: { type: ["object", "null"] },
+      created_at: isoDate,
+      updated_at: isoDate,
+    },
+  },
+  RssFeedInput: {
+    type: "object",
+    required: ["name", "url", "rules"],
+    properties: {
+      name: { type: "string" },
+      url: { type: "string", format: "uri" },
+      enabled: { type: "boolean", default: true },
+      add_existing: {
+        type: "boolean",
+        default: false,
+        description:
+          "Also add matching items already in the feed on its first check.",
+      },
+      rules: {
+        type: "array",
+        minItems: 1,
+        maxItems: 20,
+        items: { $ref: "#/components/schemas/RssRule" },
+      },
+    },
+  },
+  RssCheckSummary: {
+    type: "object",
+    properties: {
+      fetched: { type: "integer" },
+      matched: { type: "integer" },
+      added: { type: "integer" },
+      duplicate: { type: "integer" },
+      skipped: { type: "integer" },
+      failed: { type: "integer" },
+      error: { type: "object" },
+    },
+  },
+  RssMatchPage: {
+    type: "object",
+    properties: {
+      matches: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            feed_id: { type: "string" },
+            rule: { type: ["string", "null"] },
+            status: { enum: ["added", "duplicate", "skipped", "failed"] },
+            title: { type: "string" },
+            url: { type: "string" },
+            size_bytes: { type: ["integer", "null"] },
+            episode_key: { type: ["string", "null"] },
+            torrent_id: { type: ["string", "null"] },
+            error: { type: ["object", "null"] },
+            created_at: isoDate,
+          },
+        },
+      },
+      total: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+    },
+  },
+  AuditLogPage: {
+    type: "object",
+    properties: {
+      entries: { type: "array", items: { type: "object" } },
+      total: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+    },
+  },
+};
+
+module.exports = schemas;
@@ -0,0 +1,148 @@
+const express = require("express");
+const createError = require("http-errors");
+const { ObjectId } = require("mongodb");
+const { authenticateRequest, ensureAdmin } = require("../middleware/auth");
+const { findAuditEntries } = require("../services/auditLog");
+const { toChineseIsoString } = require("../utils/time");
+
+const router = express.Router();
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const parseDateFilter = (value, fieldName) => {
+  const parsed = new Date(value);
+
+  if (Number.isNaN(parsed.getTime())) {
+    throw createError(400, `${fieldName} must be a valid date`);
+  }
+
+  return toChineseIsoString(parsed);
+};
+
+// Accepts an exact status ("404") or a status class ("5xx").
+const parseStatusFilter = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  const classMatch = /^([1-5])xx$/.exec(normalized);
+
+  if (classMatch) {
+    const floor = Number(classMatch[1]) * 100;
+    return { $gte: floor, $lt: floor + 100 };
+  }
+
+  const status = Number(normalized);
+
+  if (!Number.isInteger(status) || status < 100 || status > 599) {
+    throw createError(400, "status must be an HTTP status or class like 5xx");
+  }
+
+  return status;
+};
+
+const parseBoundedInteger = (value, fieldName, { fallback, min, max }) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw createError(
+      400,
+      `${fieldName} must be an integer between ${min} and ${max}`
+    );
+  }
+
+  return parsed;
+};
+
+const buildAuditFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.userId) {
+    if (!ObjectId.isValid(query.userId)) {
+      throw createError(400, "userId must be a valid id");
+    }
+
+    filter.user_id = new ObjectId(query.userId);
+  }
+
+  if (query.route) {
+    filter.route = String(query.route);
+  }
+
+  if (query.kind) {
+    filter.kind = String(query.kind);
+  }
+
+  if (query.method) {
+    filter.method = String(query.method).toUpperCase();
+  }
+
+  if (query.status) {
+    filter.status = parseStatusFilter(query.status);
+  }
+
+  if (query.from || query.to) {
+    filter.created_at = {};
+
+    if (query.from) {
+      filter.created_at.$gte = parseDateFilter(query.from, "from");
+    }
+
+    if (query.to) {
+      filter.created_at.$lte = parseDateFilter(query.to, "to");
+    }
+  }
+
+  return filter;
+};
+
+const toAuditEntryResponse = (doc) => {
+  const { _id, created_at_ts, user_id, ...rest } = doc;
+
+  return {
+    id: _id.toString(),
+    ...rest,
+    user_id: user_id ? user_id.toString() : null,
+  };
+};
+
+router.get(
+  "/",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    ensureAdmin(req.authUser);
+
+    const filter = buildAuditFilter(req.query);
+    const limit = parseBoundedInteger(req.query.limit, "limit", {
+      fallback: DEFAULT_LIMIT,
+      min: 1,
+      max: MAX_LIMIT,
+    });
+    const offset = parseBoundedInteger(req.query.offset, "offset", {
+      fallback: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const { entries, total } = await findAuditEntries(filter, {
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      value: {
+        entries: entries.map(toAuditEntryResponse),
+        total,
+        limit,
+        offset,
+      },
+    });
+  })
+);
+
+module.exports = router;
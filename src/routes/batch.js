@@ -0,0 +1,20 @@
+const express = require("express");
+const { authenticateRequest } = require("../middleware/auth");
+const { parseBatch, runBatch } = require("../services/batchRequests");
+
+const router = express.Router();
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+router.post(
+  "/",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const results = await runBatch(req, parseBatch(req.body));
+
+    res.json({ success: true, value: results });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const endpointGroups = require("../endpoints");
+const { buildOpenApiDocument } = require("../openapi");
+
+const router = express.Router();
+const SWAGGER_UI_VERSION = "5.17.14";
+
+let cachedDocument;
+
+const getOpenApiDocument = () => {
+  if (!cachedDocument) {
+    cachedDocument = buildOpenApiDocument({ endpointGroups });
+  }
+
+  return cachedDocument;
+};
+
+const renderDocsPage = () => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Debrid-Link proxy API</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: "openapi.json",
+        dom_id: "#swagger-ui",
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>`;
+
+router.get("/openapi.json", (req, res) => {
+  res.json({
+    ...getOpenApiDocument(),
+    servers: [{ url: `${req.protocol}://${req.get("host")}` }],
+  });
+});
+
+router.get("/docs", (req, res) => {
+  res.type("html").send(renderDocsPage());
+});
+
+module.exports = router;
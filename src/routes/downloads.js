@@ -0,0 +1,101 @@
+const express = require("express");
+const axios = require("axios");
+const createError = require("http-errors");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../services/mongoClient");
+const config = require("../config");
+const { rateLimit } = require("../middleware/rateLimit");
+const { isStorageExpired } = require("../services/userStorage");
+const { pipeUpstreamResponse } = require("../services/proxyForwarder");
+const {
+  readDownloadToken,
+  recordDownloadRedemption,
+} = require("../services/signedLinks");
+
+const router = express.Router();
+
+// Forwarded so players and download managers can resume and seek.
+const FORWARDED_REQUEST_HEADERS = ["range", "if-range", "if-none-match"];
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const findLinkOwner = async (userId) => {
+  const user = ObjectId.isValid(userId)
+    ? await usersCollection().findOne({
+        _id: new ObjectId(userId),
+        deleted: false,
+      })
+    : null;
+
+  if (!user) {
+    throw createError(403, "Invalid download link", { code: "invalid_link" });
+  }
+
+  if (isStorageExpired(user)) {
+    throw createError(403, "Storage has expired", {
+      code: "storage_expired",
+    });
+  }
+
+  return user;
+};
+
+const streamUpstreamFile = async (req, res, url) => {
+  const headers = Object.fromEntries(
+    FORWARDED_REQUEST_HEADERS.filter((key) => req.headers[key]).map((key) => [
+      key,
+      req.headers[key],
+    ])
+  );
+  const response = await axios({
+    method: req.method,
+    url,
+    headers,
+    responseType: "stream",
+    decompress: false,
+    timeout: config.defaultTimeout,
+    validateStatus: () => true,
+  }).catch((error) => {
+    throw createError(502, `Upstream download failed: ${error.message}`, {
+      expose: true,
+      code: "upstream_error",
+    });
+  });
+
+  pipeUpstreamResponse(res, response);
+};
+
+// Public on purpose: the signature is the credential. Only GET redemptions
+// are counted, so HEAD probes stay free.
+router.get(
+  "/:token",
+  rateLimit("proxy"),
+  asyncHandler(async (req, res) => {
+    const link = readDownloadToken(req.params.token);
+    const user = await findLinkOwner(link.userId);
+
+    if (req.method === "GET") {
+      await recordDownloadRedemption({
+        user,
+        link,
+        mode: config.signedLinkMode,
+        ip: req.ip,
+        range: req.headers.range,
+      });
+    }
+
+    res.setHeader("Cache-Control", "private, no-store");
+
+    if (config.signedLinkMode === "stream") {
+      await streamUpstreamFile(req, res, link.url);
+      return;
+    }
+
+    res.redirect(302, link.url);
+  })
+);
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { ObjectId } = require("mongodb");
 const { getDb } = require("../services/mongoClient");
 const config = require("../config");
 const { toChineseIsoString } = require("../utils/time");
+const { rateLimit } = require("../middleware/rateLimit");
+const { giftCardRedemptions } = require("../services/metrics");
 
 const router = express.Router();
 const giftCardsCollectionName = config.mongoGiftCardsCollection;
@@ -170,6 +172,7 @@ router.post(
 
 router.post(
   "/redeem",
+  rateLimit("redemption"),
   asyncHandler(async (req, res) => {
     const payload = req.body || {};
     const userId = ensureObjectId(payload.user_id, "user_id");
@@ -228,6 +231,7 @@ router.post(
     };
 
     const { insertedId } = await userRedeemsCollection().insertOne(redeemDoc);
+    giftCardRedemptions.inc();
 
     const updatedStorageAll =
       giftCardResult.storage + user.storage_all - user.storage_used;
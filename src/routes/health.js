@@ -0,0 +1,57 @@
+const express = require("express");
+const { toChineseIsoString } = require("../utils/time");
+const { getCircuitBreakerStates } = require("../services/upstreamResilience");
+const { checkReadiness } = require("../services/readiness");
+
+const router = express.Router();
+
+router.get("/health", (req, res) => {
+  const upstream = getCircuitBreakerStates();
+  const degraded = Object.values(upstream).some(
+    (breaker) => breaker.state !== "closed"
+  );
+
+  res.json({
+    success: true,
+    value: {
+      status: degraded ? "degraded" : "ok",
+      uptime: process.uptime(),
+      timestamp: toChineseIsoString(),
+      upstream,
+    },
+  });
+});
+
+// Liveness only proves the event loop answers; it never touches
+// dependencies, so a Mongo outage does not get the process restarted.
+router.get("/health/live", (req, res) => {
+  res.json({
+    success: true,
+    value: {
+      status: "ok",
+      uptime: process.uptime(),
+      timestamp: toChineseIsoString(),
+    },
+  });
+});
+
+router.get("/health/ready", async (req, res) => {
+  const { ready, status, components } = await checkReadiness();
+  const value = { status, timestamp: toChineseIsoString(), components };
+
+  res.set("Cache-Control", "no-store");
+
+  if (!ready) {
+    res.status(503).json({
+      success: false,
+      error: "Service is not ready",
+      code: status,
+      details: value,
+    });
+    return;
+  }
+
+  res.json({ success: true, value });
+});
+
+module.exports = router;
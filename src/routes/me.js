@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const express = require("express");
+const createError = require("http-errors");
+const { getDb } = require("../services/mongoClient");
+const config = require("../config");
+const { authenticateRequest } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { callEndpoint } = require("../services/proxyEndpoints");
+const { refreshStorageIfExpired } = require("../services/userStorage");
+const {
+  EVENT_TYPES,
+  toNotificationSettings,
+  findUserEvents,
+} = require("../services/torrentEvents");
+const { toChineseIsoString } = require("../utils/time");
+const { ensurePublicHost } = require("../utils/outboundHosts");
+const { toUserResponse } = require("../utils/userResponse");
+
+const router = express.Router();
+const DEFAULT_EVENTS_LIMIT = 50;
+const MAX_EVENTS_LIMIT = 200;
+const WEBHOOK_SECRET_BYTES = 32;
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const dashboardSections = {
+  account: "/account/infos",
+  seedboxLimits: "/seedbox/limits",
+  downloaderLimits: "/downloader/limits",
+  seedboxActivity: "/seedbox/activity",
+};
+
+// Each section settles to { value } or { error } so one failing upstream
+// call never hides the others.
+const loadSection = async (user, path) => {
+  try {
+    const { status, data } = await callEndpoint(path, { user });
+
+    if (status >= 200 && status < 300 && data?.success) {
+      return { value: data.value };
+    }
+
+    return { error: { status, error: data?.error || "upstreamError" } };
+  } catch (error) {
+    return {
+      error: {
+        status: error.status || 500,
+        error: error.expose ? error.message : "internalError",
+        code: (error.expose && error.code) || null,
+      },
+    };
+  }
+};
+
+router.get(
+  "/dashboard",
+  authenticateRequest,
+  rateLimit("proxy"),
+  asyncHandler(async (req, res) => {
+    const names = Object.keys(dashboardSections);
+    const [user, ...results] = await Promise.all([
+      refreshStorageIfExpired(req.authUser),
+      ...names.map((name) =>
+        loadSection(req.authUser, dashboardSections[name])
+      ),
+    ]);
+    const value = { user: toUserResponse(user) };
+    const errors = {};
+
+    names.forEach((name, index) => {
+      const { value: sectionValue = null, error } = results[index];
+
+      value[name] = sectionValue;
+
+      if (error) {
+        errors[name] = error;
+      }
+    });
+
+    res.json({ success: true, value: { ...value, errors } });
+  })
+);
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const parseEventTypes = (value, fieldName) => {
+  const types = Array.isArray(value) ? value : String(value).split(",");
+  const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+
+  if (unknown.length > 0) {
+    throw createError(
+      400,
+      `${fieldName} must only contain ${EVENT_TYPES.join(", ")}`
+    );
+  }
+
+  return [...new Set(types)];
+};
+
+const parseWebhookUrl = async (value) => {
+  if (value === null || value === "") {
+    return null;
+  }
+
+  let url;
+
+  try {
+    url = new URL(String(value));
+  } catch (_error) {
+    throw createError(400, "webhook_url must be a valid URL");
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw createError(400, "webhook_url must use http or https");
+  }
+
+  await ensurePublicHost(url, "webhook_url");
+
+  return url.toString();
+};
+
+const parseBoundedInteger = (value, fieldName, { fallback, min, max }) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw createError(
+      400,
+      `${fieldName} must be an integer between ${min} and ${max}`
+    );
+  }
+
+  return parsed;
+};
+
+router.get("/notifications", authenticateRequest, (req, res) => {
+  res.json({
+    success: true,
+    value: toNotificationSettings(req.authUser),
+  });
+});
+
+router.put(
+  "/notifications",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const payload = req.body || {};
+    const settings = toNotificationSettings(req.authUser);
+
+    if (payload.events !== undefined) {
+      settings.events = parseEventTypes(payload.events, "events");
+    }
+
+    if (payload.email !== undefined) {
+      if (typeof payload.email !== "boolean") {
+        throw createError(400, "email must be a boolean");
+      }
+
+      settings.email = payload.email;
+    }
+
+    if (payload.webhook_url !== undefined) {
+      settings.webhook_url = await parseWebhookUrl(payload.webhook_url);
+    }
+
+    // Webhook deliveries are signed with a per-user secret created on demand.
+    if (
+      settings.webhook_url &&
+      (!settings.webhook_secret || payload.rotate_webhook_secret === true)
+    ) {
+      settings.webhook_secret = crypto
+        .randomBytes(WEBHOOK_SECRET_BYTES)
+        .toString("hex");
+    }
+
+    await usersCollection().updateOne(
+      { _id: req.authUser._id },
+      { $set: { notifications: settings, updated_at: toChineseIsoString() } }
+    );
+
+    res.json({ success: true, value: settings });
+  })
+);
+
+router.get(
+  "/events",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const types = req.query.type
+      ? parseEventTypes(req.query.type, "type")
+      : null;
+    const limit = parseBoundedInteger(req.query.limit, "limit", {
+      fallback: DEFAULT_EVENTS_LIMIT,
+      min: 1,
+      max: MAX_EVENTS_LIMIT,
+    });
+    const offset = parseBoundedInteger(req.query.offset, "offset", {
+      fallback: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const { events, total } = await findUserEvents(req.authUser._id, {
+      types,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      value: { events, total, limit, offset },
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+const express = require("express");
+const createError = require("http-errors");
+const config = require("../config");
+const { renderMetrics } = require("../services/metrics");
+
+const router = express.Router();
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Scrapes authenticate with METRICS_TOKEN as a bearer token; without one
+// configured the endpoint does not exist.
+const requireMetricsToken = (req, res, next) => {
+  if (!config.metricsToken) {
+    next(createError(404, `Endpoint ${req.originalUrl} is not defined`));
+    return;
+  }
+
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+
+  if (
+    scheme !== "Bearer" ||
+    !token ||
+    !crypto.timingSafeEqual(hashToken(token), hashToken(config.metricsToken))
+  ) {
+    next(
+      createError(401, "A valid metrics token is required", {
+        headers: { "WWW-Authenticate": 'Bearer realm="metrics"' },
+      })
+    );
+    return;
+  }
+
+  next();
+};
+
+router.get("/", requireMetricsToken, (req, res) => {
+  res
+    .set("Cache-Control", "no-store")
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require("express");
+const createError = require("http-errors");
+const { ObjectId } = require("mongodb");
+const config = require("../config");
+const { authenticateRequest } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  MATCH_STATUSES,
+  toFeedResponse,
+  listUserFeeds,
+  findUserFeed,
+  countUserFeeds,
+  createFeed,
+  updateFeed,
+  removeFeed,
+  findUserMatches,
+} = require("../services/rssFeeds");
+const { checkRssFeed } = require("../services/rssScheduler");
+const { isSafePattern } = require("../utils/rss");
+const { ensurePublicHost } = require("../utils/outboundHosts");
+
+const router = express.Router();
+const MAX_RULES = 20;
+const MAX_PATTERN_LENGTH = 200;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+router.use(authenticateRequest);
+
+const ensureObjectId = (value, fieldName = "id") => {
+  if (!ObjectId.isValid(value)) {
+    throw createError(400, `${fieldName} must be a valid id`);
+  }
+
+  return new ObjectId(value);
+};
+
+const parseNonEmptyString = (value, fieldName) => {
+  if (typeof value !== "string" || value.trim().length === 0) {
+    throw createError(400, `${fieldName} must be a non-empty string`);
+  }
+
+  return value.trim();
+};
+
+const parseFeedUrl = (value) => {
+  let url;
+
+  try {
+    url = new URL(parseNonEmptyString(value, "url"));
+  } catch (error) {
+    throw error.status ? error : createError(400, "url must be a valid URL");
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw createError(400, "url must use http or https");
+  }
+
+  return url.toString();
+};
+
+const parseBoolean = (value, fieldName) => {
+  if (typeof value !== "boolean") {
+    throw createError(400, `${fieldName} must be a boolean`);
+  }
+
+  return value;
+};
+
+const parsePattern = (value, fieldName) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  if (typeof value !== "string" || value.length > MAX_PATTERN_LENGTH) {
+    throw createError(
+      400,
+      `${fieldName} must be a string of at most ${MAX_PATTERN_LENGTH} characters`
+    );
+  }
+
+  try {
+    new RegExp(value, "i");
+  } catch (_error) {
+    throw createError(400, `${fieldName} must be a valid regular expression`);
+  }
+
+  if (!isSafePattern(value)) {
+    throw createError(
+      400,
+      `${fieldName} must not repeat a group that contains a quantifier or an alternation, chain unbounded quantifiers that match the same characters, nor use backreferences`
+    );
+  }
+
+  return value;
+};
+
+const parseSizeBound = (value, fieldName) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw createError(400, `${fieldName} must be a non-negative integer`);
+  }
+
+  return value;
+};
+
+const parseRule = (rule, index) => {
+  const field = `rules[${index}]`;
+
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw createError(400, `${field} must be an object`);
+  }
+
+  const parsed = {
+    name:
+      rule.name === undefined
+        ? `Rule ${index + 1}`
+        : parseNonEmptyString(rule.name, `${field}.name`),
+    include: parsePattern(rule.include, `${field}.include`),
+    exclude: parsePattern(rule.exclude, `${field}.exclude`),
+    min_size_bytes: parseSizeBound(
+      rule.min_size_bytes,
+      `${field}.min_size_bytes`
+    ),
+    max_size_bytes: parseSizeBound(
+      rule.max_size_bytes,
+      `${field}.max_size_bytes`
+    ),
+    dedupe_episodes:
+      rule.dedupe_episodes === undefined
+        ? true
+        : parseBoolean(rule.dedupe_episodes, `${field}.dedupe_episodes`),
+  };
+
+  if (
+    parsed.min_size_bytes !== null &&
+    parsed.max_size_bytes !== null &&
+    parsed.min_size_bytes > parsed.max_size_bytes
+  ) {
+    throw createError(
+      400,
+      `${field}.min_size_bytes must not exceed max_size_bytes`
+    );
+  }
+
+  return parsed;
+};
+
+const parseRules = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_RULES) {
+    throw createError(400, `rules must be an array of 1 to ${MAX_RULES} rules`);
+  }
+
+  return value.map(parseRule);
+};
+
+const parseFeedPayload = (payload = {}, { partial = false } = {}) => {
+  const has = (key) => Object.prototype.hasOwnProperty.call(payload, key);
+  const fields = {};
+
+  if (!partial || has("name")) {
+    fields.name = parseNonEmptyString(payload.name, "name");
+  }
+
+  if (!partial || has("url")) {
+    fields.url = parseFeedUrl(payload.url);
+  }
+
+  if (!partial || has("rules")) {
+    fields.rules = parseRules(payload.rules);
+  }
+
+  if (has("enabled")) {
+    fields.enabled = parseBoolean(payload.enabled, "enabled");
+  }
+
+  if (has("add_existing")) {
+    fields.add_existing = parseBoolean(payload.add_existing, "add_existing");
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw createError(400, "No valid fields provided for update");
+  }
+
+  return fields;
+};
+
+const parseBoundedInteger = (value, fieldName, { fallback, min, max }) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw createError(
+      400,
+      `${fieldName} must be an integer between ${min} and ${max}`
+    );
+  }
+
+  return parsed;
+};
+
+const parseStatuses = (value) => {
+  const statuses = String(value).split(",");
+
+  if (statuses.some((status) => !MATCH_STATUSES.includes(status))) {
+    throw createError(
+      400,
+      `status must only contain ${MATCH_STATUSES.join(", ")}`
+    );
+  }
+
+  return statuses;
+};
+
+const loadFeed = async (req) => {
+  const feed = await findUserFeed(
+    req.authUser._id,
+    ensureObjectId(req.params.id)
+  );
+
+  if (!feed) {
+    throw createError(404, "RSS feed not found");
+  }
+
+  return feed;
+};
+
+router.get(
+  "/feeds",
+  asyncHandler(async (req, res) => {
+    const feeds = await listUserFeeds(req.authUser._id);
+
+    res.json({ success: true, value: feeds.map(toFeedResponse) });
+  })
+);
+
+router.post(
+  "/feeds",
+  asyncHandler(async (req, res) => {
+    const fields = parseFeedPayload(req.body || {});
+
+    await ensurePublicHost(new URL(fields.url));
+
+    if ((await countUserFeeds(req.authUser._id)) >= config.rssMaxFeedsPerUser) {
+      throw createError(
+        409,
+        `No more than ${config.rssMaxFeedsPerUser} RSS feeds are allowed`
+      );
+    }
+
+    const feed = await createFeed(req.authUser._id, fields);
+
+    res.status(201).json({ success: true, value: toFeedResponse(feed) });
+  })
+);
+
+router.get(
+  "/feeds/:id",
+  asyncHandler(async (req, res) => {
+    res.json({ success: true, value: toFeedResponse(await loadFeed(req)) });
+  })
+);
+
+router.put(
+  "/feeds/:id",
+  asyncHandler(async (req, res) => {
+    const fields = parseFeedPayload(req.body || {}, { partial: true });
+
+    if (fields.url) {
+      await ensurePublicHost(new URL(fields.url));
+    }
+
+    const feed = await updateFeed(
+      req.authUser._id,
+      ensureObjectId(req.params.id),
+      fields
+    );
+
+    if (!feed) {
+      throw createError(404, "RSS feed not found");
+    }
+
+    res.json({ success: true, value: toFeedResponse(feed) });
+  })
+);
+
+// History entries outlive their feed.
+router.delete(
+  "/feeds/:id",
+  asyncHandler(async (req, res) => {
+    const feedId = ensureObjectId(req.params.id);
+
+    if (!(await removeFeed(req.authUser._id, feedId))) {
+      throw createError(404, "RSS feed not found");
+    }
+
+    res.json({ success: true, value: { id: feedId.toString() } });
+  })
+);
+
+router.post(
+  "/feeds/:id/check",
+  rateLimit("proxy"),
+  asyncHandler(async (req, res) => {
+    const summary = await checkRssFeed(await loadFeed(req));
+
+    res.json({ success: true, value: summary });
+  })
+);
+
+router.get(
+  "/history",
+  asyncHandler(async (req, res) => {
+    const feedId = req.query.feed_id
+      ? ensureObjectId(req.query.feed_id, "feed_id")
+      : null;
+    const statuses = req.query.status ? parseStatuses(req.query.status) : null;
+    const limit = parseBoundedInteger(req.query.limit, "limit", {
+      fallback: DEFAULT_HISTORY_LIMIT,
+      min: 1,
+      max: MAX_HISTORY_LIMIT,
+    });
+    const offset = parseBoundedInteger(req.query.offset, "offset", {
+      fallback: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const { matches, total } = await findUserMatches(req.authUser._id, {
+      feedId,
+      statuses,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      value: { matches, total, limit, offset },
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const { authenticateRequest } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { subscribe } = require("../services/activityStream");
+
+const router = express.Router();
+const RECONNECT_DELAY_MS = 3000;
+
+router.get("/", authenticateRequest, rateLimit("proxy"), (req, res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Keeps nginx from buffering the stream.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const unsubscribe = subscribe(req.authUser, res, {
+    lastEventId: req.headers["last-event-id"] || req.query.lastEventId,
+  });
+
+  res.on("close", unsubscribe);
+});
+
+module.exports = router;
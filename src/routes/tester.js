@@ -0,0 +1,379 @@
+const express = require("express");
+const createError = require("http-errors");
+const config = require("../config");
+const { authenticateRequest, ensureAdmin } = require("../middleware/auth");
+const { callEndpoint } = require("../services/proxyEndpoints");
+
+const router = express.Router();
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// The page builds its route list from /openapi.json, which already covers
+// endpointGroups and the local routers.
+const renderTesterPage = () => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Debrid-Link proxy tester</title>
+    <style>
+      * { box-sizing: border-box; }
+      body { margin: 0; font: 14px/1.4 system-ui, sans-serif; color: #1f2328; }
+      header { display: flex; gap: 8px; align-items: center; padding: 8px 12px; border-bottom: 1px solid #d0d7de; background: #f6f8fa; }
+      header h1 { font-size: 16px; margin: 0 auto 0 0; }
+      main { display: grid; grid-template-columns: 360px 1fr; height: calc(100vh - 49px); }
+      nav { overflow: auto; border-right: 1px solid #d0d7de; padding: 8px; }
+      nav input { width: 100%; margin-bottom: 8px; }
+      nav h2 { font-size: 12px; text-transform: uppercase; color: #59636e; margin: 12px 0 4px; }
+      nav button { display: block; width: 100%; text-align: left; border: 0; background: none; padding: 3px 4px; cursor: pointer; }
+      nav button:hover, nav button.active { background: #ddf4ff; }
+      section { overflow: auto; padding: 12px; }
+      label { display: block; margin: 6px 0 2px; font-weight: 600; }
+      input, textarea, select { font: 13px ui-monospace, monospace; padding: 4px; }
+      textarea { width: 100%; min-height: 80px; }
+      .method { display: inline-block; width: 56px; font: 12px ui-monospace, monospace; font-weight: 700; }
+      .exchange { border: 1px solid #d0d7de; border-radius: 6px; margin-top: 12px; }
+      .exchange h3 { margin: 0; padding: 6px 8px; font-size: 13px; background: #f6f8fa; border-bottom: 1px solid #d0d7de; }
+      .exchange pre { margin: 0; padding: 8px; max-height: 400px; overflow: auto; white-space: pre-wrap; word-break: break-all; }
+      .status-ok { color: #1a7f37; }
+      .status-error { color: #cf222e; }
+      .muted { color: #59636e; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h1>Debrid-Link proxy tester</h1>
+      <span id="session" class="muted">Not logged in</span>
+      <input id="email" type="email" placeholder="email" />
+      <input id="password" type="password" placeholder="password" />
+      <button id="login">Log in</button>
+      <button id="logout">Log out</button>
+    </header>
+    <main>
+      <nav>
+        <input id="filter" type="search" placeholder="Filter routes" />
+        <button id="account-infos"><span class="method">GET</span>/tester/account-infos</button>
+        <div id="routes"></div>
+      </nav>
+      <section>
+        <form id="request">
+          <div><span id="op-method" class="method"></span><code id="op-path">Select a route</code></div>
+          <div id="op-summary" class="muted"></div>
+          <div id="params"></div>
+          <label for="query">Extra query (one key=value per line)</label>
+          <textarea id="query"></textarea>
+          <label for="headers">Headers (one Name: value per line)</label>
+          <textarea id="headers"></textarea>
+          <label for="body">Body</label>
+          <textarea id="body" rows="10"></textarea>
+          <label><input id="use-token" type="checkbox" checked /> Send the JWT as Authorization</label>
+          <button type="submit">Send</button>
+          <button id="clear" type="button">Clear history</button>
+        </form>
+        <div id="history"></div>
+      </section>
+    </main>
+    <script>
+      var TOKEN_KEY = "debridTesterToken";
+      var operations = [];
+      var current = null;
+      var byId = function (id) { return document.getElementById(id); };
+      var readToken = function () { return sessionStorage.getItem(TOKEN_KEY); };
+
+      var showSession = function (email) {
+        byId("session").textContent = readToken()
+          ? "Logged in" + (email ? " as " + email : "")
+          : "Not logged in";
+      };
+
+      var resolveRef = function (doc, schema) {
+        if (schema && schema.$ref) {
+          return doc.components.schemas[schema.$ref.split("/").pop()];
+        }
+        return schema;
+      };
+
+      // Prefills the body with every property of the request schema.
+      var skeleton = function (doc, schema, depth) {
+        schema = resolveRef(doc, schema) || {};
+        var type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+        if (schema.default !== undefined) return schema.default;
+        if (schema.enum) return schema.enum[0];
+        if (type === "object" || schema.properties) {
+          var value = {};
+          if (depth < 3) {
+            Object.keys(schema.properties || {}).forEach(function (key) {
+              value[key] = skeleton(doc, schema.properties[key], depth + 1);
+            });
+          }
+          return value;
+        }
+        if (type === "array") return [];
+        if (type === "integer" || type === "number") return 0;
+        if (type === "boolean") return false;
+        return "";
+      };
+
+      var renderRoutes = function () {
+        var filter = byId("filter").value.toLowerCase();
+        var container = byId("routes");
+        var lastTag = null;
+        container.textContent = "";
+        operations
+          .filter(function (op) {
+            return (op.method + " " + op.path + " " + op.summary + " " + op.tag)
+              .toLowerCase()
+              .indexOf(filter) >= 0;
+          })
+          .forEach(function (op) {
+            if (op.tag !== lastTag) {
+              var heading = document.createElement("h2");
+              heading.textContent = op.tag;
+              container.appendChild(heading);
+              lastTag = op.tag;
+            }
+            var button = document.createElement("button");
+            var method = document.createElement("span");
+            method.className = "method";
+            method.textContent = op.method.toUpperCase();
+            button.appendChild(method);
+            button.appendChild(document.createTextNode(op.path));
+            button.title = op.summary || "";
+            button.className = op === current ? "active" : "";
+            button.onclick = function () { select(op); };
+            container.appendChild(button);
+          });
+      };
+
+      var select = function (op) {
+        current = op;
+        byId("op-method").textContent = op.method.toUpperCase();
+        byId("op-path").textContent = op.path;
+        byId("op-summary").textContent = op.summary || "";
+        byId("use-token").checked = op.authenticated;
+        byId("query").value = "";
+        byId("headers").value = "";
+        byId("body").value = op.body === undefined ? "" : JSON.stringify(op.body, null, 2);
+        var params = byId("params");
+        params.textContent = "";
+        op.parameters.forEach(function (parameter) {
+          var label = document.createElement("label");
+          var input = document.createElement("input");
+          label.textContent =
+            parameter.name + " (" + parameter.in + (parameter.required ? ", required" : "") + ")";
+          input.name = parameter.name;
+          input.dataset.in = parameter.in;
+          input.size = 60;
+          params.appendChild(label);
+          params.appendChild(input);
+        });
+        renderRoutes();
+      };
+
+      var parseLines = function (text, separator) {
+        return text
+          .split("\\n")
+          .map(function (line) { return line.trim(); })
+          .filter(Boolean)
+          .map(function (line) {
+            var index = line.indexOf(separator);
+            return index < 0
+              ? [line, ""]
+              : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+          });
+      };
+
+      var formatHeaders = function (headers) {
+        var lines = [];
+        headers.forEach(function (value, name) { lines.push(name + ": " + value); });
+        return lines.join("\\n");
+      };
+
+      var formatBody = function (text) {
+        try {
+          return JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+          return text;
+        }
+      };
+
+      var addBlock = function (parent, title, text, className) {
+        var heading = document.createElement("h3");
+        var pre = document.createElement("pre");
+        heading.textContent = title;
+        if (className) heading.className = className;
+        pre.textContent = text;
+        parent.appendChild(heading);
+        parent.appendChild(pre);
+      };
+
+      var send = async function (request) {
+        var exchange = document.createElement("div");
+        var startedAt = performance.now();
+        exchange.className = "exchange";
+        byId("history").prepend(exchange);
+        addBlock(
+          exchange,
+          request.method + " " + request.url,
+          [formatHeaders(request.headers), request.displayBody || request.body || ""].filter(Boolean).join("\\n\\n") || "(no headers or body)"
+        );
+        try {
+          var response = await fetch(request.url, request);
+          var text = await response.text();
+          var elapsed = Math.round(performance.now() - startedAt);
+          addBlock(
+            exchange,
+            response.status + " " + response.statusText + " in " + elapsed + " ms",
+            formatHeaders(response.headers) + "\\n\\n" + formatBody(text),
+            response.ok ? "status-ok" : "status-error"
+          );
+          return { response: response, text: text };
+        } catch (error) {
+          addBlock(exchange, "Network error", String(error), "status-error");
+          return null;
+        }
+      };
+
+      var buildRequest = function (method, path, options) {
+        var headers = new Headers(options.headers || []);
+        var token = readToken();
+        if (options.useToken && token && !headers.has("authorization")) {
+          headers.set("Authorization", "Bearer " + token);
+        }
+        if (options.body && !headers.has("content-type")) {
+          headers.set("Content-Type", "application/json");
+        }
+        return {
+          method: method.toUpperCase(),
+          url: path,
+          headers: headers,
+          body: options.body || undefined,
+        };
+      };
+
+      byId("request").onsubmit = function (event) {
+        event.preventDefault();
+        if (!current) return;
+        var path = current.path;
+        var query = new URLSearchParams();
+        byId("params").querySelectorAll("input").forEach(function (input) {
+          if (input.dataset.in === "path") {
+            path = path.replace("{" + input.name + "}", encodeURIComponent(input.value));
+          } else if (input.value !== "") {
+            query.append(input.name, input.value);
+          }
+        });
+        parseLines(byId("query").value, "=").forEach(function (pair) {
+          query.append(pair[0], pair[1]);
+        });
+        var search = query.toString();
+        var hasBody = ["get", "head", "delete"].indexOf(current.method) < 0;
+        send(
+          buildRequest(current.method, path + (search ? "?" + search : ""), {
+            headers: parseLines(byId("headers").value, ":"),
+            body: hasBody ? byId("body").value.trim() : "",
+            useToken: byId("use-token").checked,
+          })
+        );
+      };
+
+      byId("login").onclick = async function () {
+        var email = byId("email").value;
+        var request = buildRequest("post", "/users/login", {
+          body: JSON.stringify({ email: email, password: byId("password").value }),
+        });
+        // Keeps the password out of the exchange history.
+        request.displayBody = JSON.stringify({ email: email, password: "********" });
+        var result = await send(request);
+        var payload = null;
+        try {
+          payload = result && JSON.parse(result.text);
+        } catch (error) {
+          payload = null;
+        }
+        if (payload && payload.success && payload.value.token) {
+          sessionStorage.setItem(TOKEN_KEY, payload.value.token);
+          byId("password").value = "";
+          showSession(email);
+        }
+      };
+
+      byId("logout").onclick = function () {
+        sessionStorage.removeItem(TOKEN_KEY);
+        showSession();
+      };
+
+      byId("account-infos").onclick = function () {
+        send(buildRequest("get", "/tester/account-infos", { useToken: true }));
+      };
+
+      byId("clear").onclick = function () {
+        byId("history").textContent = "";
+      };
+
+      byId("filter").oninput = renderRoutes;
+
+      fetch("/openapi.json")
+        .then(function (response) { return response.json(); })
+        .then(function (doc) {
+          Object.keys(doc.paths).forEach(function (path) {
+            Object.keys(doc.paths[path]).forEach(function (method) {
+              var operation = doc.paths[path][method];
+              var content = operation.requestBody && operation.requestBody.content;
+              var schema = content && content["application/json"] && content["application/json"].schema;
+              operations.push({
+                tag: (operation.tags || ["Other"])[0],
+                method: method,
+                path: path,
+                summary: operation.summary,
+                parameters: operation.parameters || [],
+                authenticated: !(operation.security && operation.security.length === 0),
+                body: schema ? skeleton(doc, schema, 0) : undefined,
+              });
+            });
+          });
+          operations.sort(function (a, b) {
+            return a.tag.localeCompare(b.tag) || a.path.localeCompare(b.path);
+          });
+          renderRoutes();
+        });
+
+      showSession();
+    </script>
+  </body>
+</html>`;
+
+router.get("/", (req, res) => {
+  res.type("html").send(renderTesterPage());
+});
+
+const requireAdmin = (req, res, next) => {
+  ensureAdmin(req.authUser);
+  next();
+};
+
+// Calls /account/infos with the TEST_ACCOUNT_INFOS_AUTH token so an admin
+// can check it without linking it to an account.
+router.get(
+  "/account-infos",
+  authenticateRequest,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const token = config.testAccountInfosAuth;
+
+    if (!token) {
+      throw createError(503, "TEST_ACCOUNT_INFOS_AUTH is not configured", {
+        expose: true,
+      });
+    }
+
+    const { status, data } = await callEndpoint("/account/infos", {
+      token,
+      headers: { accept: "application/json", "cache-control": "no-cache" },
+    });
+
+    res.status(status).json(data);
+  })
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { ObjectId } = require("mongodb");
 const { getDb } = require("../services/mongoClient");
 const config = require("../config");
 const { toChineseIsoString } = require("../utils/time");
+const { transactionsCreated } = require("../services/metrics");
 
 const router = express.Router();
 const collectionName = config.mongoTransactionsCollection;
@@ -357,6 +358,7 @@ router.post(
     await ensureUniqueOrderKey(doc.order_key);
 
     const { insertedId } = await transactionsCollection().insertOne(doc);
+    transactionsCreated.inc();
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,187 @@
+const express = require("express");
+const createError = require("http-errors");
+const { authenticateRequest, ensureAdmin } = require("../middleware/auth");
+const {
+  isAccountEligible,
+  listPoolAccounts,
+  findPoolAccount,
+  createPoolAccount,
+  updatePoolAccount,
+  removePoolAccount,
+  countAssignedUsers,
+} = require("../services/accountPool");
+const { checkPoolAccount } = require("../services/accountPoolMonitor");
+
+const router = express.Router();
+
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+const requireAdmin = (req, res, next) => {
+  ensureAdmin(req.authUser);
+  next();
+};
+
+router.use(authenticateRequest, requireAdmin);
+
+const parseNonEmptyString = (value, fieldName) => {
+  if (typeof value !== "string" || value.trim().length === 0) {
+    throw createError(400, `${fieldName} must be a non-empty string`);
+  }
+
+  return value.trim();
+};
+
+const parseAccountPayload = (payload = {}, { partial = false } = {}) => {
+  const has = (key) => Object.prototype.hasOwnProperty.call(payload, key);
+  const fields = {};
+
+  if (!partial || has("label")) {
+    fields.label = parseNonEmptyString(payload.label, "label");
+  }
+
+  if (!partial || has("access_token")) {
+    fields.accessToken = parseNonEmptyString(
+      payload.access_token,
+      "access_token"
+    );
+  }
+
+  if (has("enabled")) {
+    if (typeof payload.enabled !== "boolean") {
+      throw createError(400, "enabled must be a boolean");
+    }
+
+    fields.enabled = payload.enabled;
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw createError(400, "No valid fields provided for update");
+  }
+
+  return fields;
+};
+
+// Token material never leaves the server.
+const toAccountResponse = (account, assignedUsers = 0) => ({
+  id: account._id.toString(),
+  label: account.label,
+  enabled: account.enabled,
+  status: account.status,
+  eligible: isAccountEligible(account),
+  utilization: account.utilization,
+  limits: account.limits,
+  limited_until: account.limited_until,
+  last_error: account.last_error,
+  checked_at: account.checked_at,
+  assigned_users: assignedUsers,
+  created_at: account.created_at,
+  updated_at: account.updated_at,
+});
+
+const summarizePool = (accounts) => {
+  const counted = accounts.filter(
+    ({ enabled, utilization }) => enabled && utilization != null
+  );
+
+  return {
+    total: accounts.length,
+    eligible: accounts.filter(({ eligible }) => eligible).length,
+    limited: accounts.filter(({ status }) => status === "limited").length,
+    revoked: accounts.filter(({ status }) => status === "revoked").length,
+    disabled: accounts.filter(({ enabled }) => !enabled).length,
+    assigned_users: accounts.reduce(
+      (sum, { assigned_users }) => sum + assigned_users,
+      0
+    ),
+    average_utilization:
+      counted.length > 0
+        ? counted.reduce((sum, { utilization }) => sum + utilization, 0) /
+          counted.length
+        : null,
+  };
+};
+
+const respondWithAccount = async (res, id, status = 200) => {
+  const [account, assigned] = await Promise.all([
+    findPoolAccount(id),
+    countAssignedUsers(),
+  ]);
+
+  res.status(status).json({
+    success: true,
+    value: toAccountResponse(account, assigned.get(account._id.toString())),
+  });
+};
+
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const [accounts, assigned] = await Promise.all([
+      listPoolAccounts(),
+      countAssignedUsers(),
+    ]);
+    const values = accounts.map((account) =>
+      toAccountResponse(account, assigned.get(account._id.toString()))
+    );
+
+    res.json({
+      success: true,
+      value: { accounts: values, summary: summarizePool(values) },
+    });
+  })
+);
+
+// New accounts are checked right away so their health shows immediately.
+router.post(
+  "/",
+  asyncHandler(async (req, res) => {
+    const account = await createPoolAccount(parseAccountPayload(req.body));
+
+    if (account.enabled) {
+      await checkPoolAccount(account);
+    }
+
+    await respondWithAccount(res, account._id, 201);
+  })
+);
+
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    await respondWithAccount(res, req.params.id);
+  })
+);
+
+router.put(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const fields = parseAccountPayload(req.body, { partial: true });
+    const account = await updatePoolAccount(req.params.id, fields);
+
+    if (fields.accessToken && account.enabled) {
+      await checkPoolAccount(account);
+    }
+
+    await respondWithAccount(res, account._id);
+  })
+);
+
+router.delete(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    await removePoolAccount(req.params.id);
+
+    res.json({ success: true, value: { id: req.params.id } });
+  })
+);
+
+router.post(
+  "/:id/check",
+  asyncHandler(async (req, res) => {
+    await checkPoolAccount(await findPoolAccount(req.params.id));
+    await respondWithAccount(res, req.params.id);
+  })
+);
+
+module.exports = router;
@@ -6,10 +6,27 @@ const { ObjectId } = require("mongodb");
 const { getDb } = require("../services/mongoClient");
 const config = require("../config");
 const { toChineseIsoString } = require("../utils/time");
+const { toUserResponse } = require("../utils/userResponse");
 const {
   sendPasswordResetEmail,
   sendEmailVerificationEmail,
 } = require("../services/mailerSend");
+const {
+  requireJwtSecret,
+  authenticateRequest,
+  isAdmin,
+  ensureAdmin,
+  ensureSelfAccess,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { userRegistrations, userLogins } = require("../services/metrics");
+const { refreshStorageIfExpired } = require("../services/userStorage");
+const {
+  saveUserCredentials,
+  clearUserCredentials,
+  toCredentialStatus,
+} = require("../services/credentialVault");
+const { claimUpstreamItems } = require("../services/itemClaims");
 
 const router = express.Router();
 const collectionName = config.mongoUsersCollection;
@@ -127,14 +144,6 @@ const enforceStorageInvariant = (storageAll, storageUsed) => {
   }
 };
 
-const requireJwtSecret = () => {
-  if (!config.jwtSecret) {
-    throw createError(500, "JWT secret is not configured");
-  }
-
-  return config.jwtSecret;
-};
-
 const generateAuthToken = (doc) => {
   const payload = {
     sub: doc._id.toString(),
@@ -300,69 +309,6 @@ const consumeEmailVerificationToken = async (token, email) => {
   return result.value;
 };
 
-const extractBearerToken = (authorizationHeader) => {
-  if (typeof authorizationHeader !== "string") {
-    throw createError(401, "Authorization token is required");
-  }
-
-  const [scheme, token] = authorizationHeader.trim().split(/\s+/);
-
-  if (scheme?.toLowerCase() !== "bearer" || !token) {
-    throw createError(401, "Authorization token is required");
-  }
-
-  return token;
-};
-
-const authenticateRequest = asyncHandler(async (req, _res, next) => {
-  let payload;
-
-  try {
-    const token = extractBearerToken(req.headers.authorization);
-    payload = jwt.verify(token, requireJwtSecret());
-  } catch (error) {
-    throw createError(401, "Invalid token");
-  }
-
-  if (!payload?.sub || !ObjectId.isValid(payload.sub)) {
-    throw createError(401, "Invalid token");
-  }
-
-  const user = await usersCollection().findOne({
-    _id: new ObjectId(payload.sub),
-    deleted: false,
-  });
-
-  if (!user) {
-    throw createError(401, "Invalid token");
-  }
-
-  req.authUser = user;
-  next();
-});
-
-const isAdmin = (user) => (user?.role || "standard") === "admin";
-
-const ensureAdmin = (currentUser) => {
-  if (!isAdmin(currentUser)) {
-    throw createError(403, "Forbidden");
-  }
-};
-
-const ensureSelfAccess = (requestedUserId, currentUser) => {
-  if (!currentUser?._id) {
-    throw createError(401, "Invalid token");
-  }
-
-  if (isAdmin(currentUser)) {
-    return;
-  }
-
-  if (!currentUser._id.equals(requestedUserId)) {
-    throw createError(403, "Forbidden");
-  }
-};
-
 const createUserDocument = (payload) => {
   const email = normalizeEmail(payload.email);
   const password = parsePassword(payload.password);
@@ -476,79 +422,6 @@ const authenticateUser = async (payload = {}) => {
   return user;
 };
 
-const toUserResponse = (doc) => ({
-  id: doc._id.toString(),
-  email: doc.email,
-  storage_all: doc.storage_all,
-  storage_used: doc.storage_used,
-  storage_expired_at: doc.storage_expired_at,
-  deleted: doc.deleted,
-  role: doc.role || "standard",
-  created_at: doc.created_at,
-  updated_at: doc.updated_at,
-  last_login_at: doc.last_login_at,
-});
-
-// Zero out storage fields when the stored quota is already expired.
-const applyStorageExpiration = (doc) => {
-  if (!doc || !doc.storage_expired_at) {
-    return { doc, expired: false };
-  }
-
-  const expiration = new Date(doc.storage_expired_at);
-  if (Number.isNaN(expiration.getTime())) {
-    return { doc, expired: false };
-  }
-
-  const nowInChina = new Date(toChineseIsoString());
-  if (expiration <= nowInChina) {
-    if (doc.storage_all === 0 && doc.storage_used === 0) {
-      return { doc, expired: false };
-    }
-
-    return {
-      doc: {
-        ...doc,
-        storage_all: 0,
-        storage_used: 0,
-      },
-      expired: true,
-    };
-  }
-
-  return { doc, expired: false };
-};
-
-const refreshStorageIfExpired = async (doc) => {
-  if (!doc) {
-    return doc;
-  }
-
-  const { doc: maybeUpdatedDoc, expired } = applyStorageExpiration(doc);
-
-  if (!expired) {
-    return maybeUpdatedDoc;
-  }
-
-  const timestamp = toChineseIsoString();
-
-  await usersCollection().updateOne(
-    { _id: doc._id },
-    {
-      $set: {
-        storage_all: maybeUpdatedDoc.storage_all,
-        storage_used: maybeUpdatedDoc.storage_used,
-        updated_at: timestamp,
-      },
-    }
-  );
-
-  return {
-    ...maybeUpdatedDoc,
-    updated_at: timestamp,
-  };
-};
-
 router.get(
   "/",
   authenticateRequest,
@@ -612,6 +485,7 @@ router.post(
   authenticateRequest,
   asyncHandler(async (req, res) => {
     const createdUser = await insertUser(req.body || {});
+    userRegistrations.inc({ source: "admin" });
 
     res.status(201).json({
       success: true,
@@ -622,6 +496,7 @@ router.post(
 
 router.post(
   "/reset-password/request",
+  rateLimit("auth"),
   asyncHandler(async (req, res) => {
     const email = normalizeEmail(req.body?.email);
     const user = await usersCollection().findOne({ email, deleted: false });
@@ -647,6 +522,7 @@ router.post(
 
 router.post(
   "/reset-password/confirm",
+  rateLimit("auth"),
   asyncHandler(async (req, res) => {
     const token = parseResetToken(req.body?.token);
     const newPassword = parsePassword(req.body?.password);
@@ -703,6 +579,7 @@ router.post(
 
 router.post(
   "/register/request-verification",
+  rateLimit("auth"),
   asyncHandler(async (req, res) => {
     const email = normalizeEmail(req.body?.email);
     const password = parsePassword(req.body?.password);
@@ -732,6 +609,7 @@ router.post(
 
 router.post(
   "/register",
+  rateLimit("auth"),
   asyncHandler(async (req, res) => {
     const verificationToken = parseVerificationToken(
       req.body?.verification_token
@@ -742,6 +620,7 @@ router.post(
 
     const payload = { ...(req.body || {}), email };
     const createdUser = await insertUser(payload);
+    userRegistrations.inc({ source: "self" });
     const userWithLastLogin = await recordLastLoginTimestamp(createdUser);
     const token = await issueAuthTokenForUser(userWithLastLogin);
 
@@ -757,8 +636,15 @@ router.post(
 
 router.post(
   "/login",
+  rateLimit("auth"),
   asyncHandler(async (req, res) => {
-    const authenticatedUser = await authenticateUser(req.body || {});
+    const authenticatedUser = await authenticateUser(req.body || {}).catch(
+      (error) => {
+        userLogins.inc({ result: "failed" });
+        throw error;
+      }
+    );
+    userLogins.inc({ result: "succeeded" });
     const userWithStorage = await refreshStorageIfExpired(authenticatedUser);
     const userWithLastLogin = await recordLastLoginTimestamp(userWithStorage);
     const token = await issueAuthTokenForUser(userWithLastLogin);
@@ -830,4 +716,117 @@ router.delete(
   })
 );
 
+router.get(
+  "/:id/debrid-link",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const userId = ensureObjectId(req.params.id);
+    ensureSelfAccess(userId, req.authUser);
+
+    const user = await usersCollection().findOne({ _id: userId });
+
+    if (!user) {
+      throw createError(404, "User not found");
+    }
+
+    res.json({
+      success: true,
+      value: toCredentialStatus(user),
+    });
+  })
+);
+
+router.put(
+  "/:id/debrid-link",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const userId = ensureObjectId(req.params.id);
+    ensureSelfAccess(userId, req.authUser);
+
+    const payload = req.body || {};
+    const credentials = await saveUserCredentials(userId, {
+      accessToken: payload.access_token,
+      refreshToken: payload.refresh_token,
+      expiresIn: payload.expires_in,
+      scope: payload.scope,
+    });
+
+    res.json({
+      success: true,
+      value: toCredentialStatus({ debrid_link: credentials }),
+    });
+  })
+);
+
+router.delete(
+  "/:id/debrid-link",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    const userId = ensureObjectId(req.params.id);
+    ensureSelfAccess(userId, req.authUser);
+
+    await clearUserCredentials(userId);
+
+    res.json({
+      success: true,
+      value: toCredentialStatus(null),
+    });
+  })
+);
+
+const CLAIMABLE_KINDS = ["seedbox", "downloader"];
+
+const parseClaimPayload = (payload = {}) => {
+  if (!CLAIMABLE_KINDS.includes(payload.kind)) {
+    throw createError(400, `kind must be one of ${CLAIMABLE_KINDS.join(", ")}`);
+  }
+
+  if (payload.all === true && payload.ids === undefined) {
+    return { kind: payload.kind, ids: null };
+  }
+
+  if (
+    !Array.isArray(payload.ids) ||
+    payload.ids.length === 0 ||
+    payload.ids.some((id) => typeof id !== "string" || !/^[\w-]+$/.test(id))
+  ) {
+    throw createError(
+      400,
+      "Provide ids as a non-empty array of ids, or all: true"
+    );
+  }
+
+  return { kind: payload.kind, ids: [...new Set(payload.ids)] };
+};
+
+// Migration path for torrents and links added before the ownership ledger.
+router.post(
+  "/:id/upstream-items",
+  authenticateRequest,
+  asyncHandler(async (req, res) => {
+    ensureAdmin(req.authUser);
+
+    const userId = ensureObjectId(req.params.id);
+    const { kind, ids } = parseClaimPayload(req.body || {});
+    const user = await usersCollection().findOne({
+      _id: userId,
+      deleted: false,
+    });
+
+    if (!user) {
+      throw createError(404, "User not found");
+    }
+
+    res.json({
+      success: true,
+      value: await claimUpstreamItems({
+        admin: req.authUser,
+        user,
+        kind,
+        ids,
+      }),
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,440 @@
+const express = require("express");
+const config = require("../config");
+const store = require("./store");
+
+// Faults a client can request per call with `X-Sandbox-Fault`; SANDBOX_*
+// settings apply latency and random failures to every call.
+const FAULTS = {
+  badToken: { status: 401, error: "badToken" },
+  notFound: { status: 404, error: "notFound" },
+  floodDetected: { status: 429, error: "floodDetected" },
+  server_error: { status: 500, error: "server_error" },
+  maintenance: { status: 503, error: "maintenance" },
+};
+
+const router = express.Router();
+const api = express.Router();
+const oauth = express.Router();
+
+const ok = (res, value, extra = {}) =>
+  res.json({ success: true, value, ...extra });
+
+const fail = (res, status, error) =>
+  res.status(status).json({ success: false, error });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const injectFaults = async (req, res, next) => {
+  const latency = Number(req.headers["x-sandbox-latency"]);
+  const delay = Number.isFinite(latency) ? latency : config.sandboxLatencyMs;
+  const fault = req.headers["x-sandbox-fault"];
+
+  if (delay > 0) {
+    await sleep(delay);
+  }
+
+  if (fault === "reset") {
+    req.socket.destroy();
+    return;
+  }
+
+  // Never answers; the proxy's own timeout decides what the client sees.
+  if (fault === "timeout") {
+    return;
+  }
+
+  if (FAULTS[fault]) {
+    fail(res, FAULTS[fault].status, FAULTS[fault].error);
+    return;
+  }
+
+  if (Math.random() < config.sandboxFailureRate) {
+    fail(res, 503, "server_error");
+    return;
+  }
+
+  next();
+};
+
+const requireAccessToken = (req, res, next) => {
+  const [scheme, token] = String(req.headers.authorization || "").split(" ");
+
+  if (scheme?.toLowerCase() !== "bearer" || !token) {
+    fail(res, 401, "badToken");
+    return;
+  }
+
+  if (!store.checkAccessToken(token)) {
+    fail(res, 401, "badToken");
+    return;
+  }
+
+  next();
+};
+
+const findOr404 = (map, id, res) => {
+  const item = map.get(id);
+
+  if (!item) {
+    fail(res, 404, "notFound");
+  }
+
+  return item;
+};
+
+// Account
+
+api.get("/account/infos", (req, res) => {
+  ok(res, {
+    email: "sandbox@debrid-link.invalid",
+    username: "sandbox",
+    accountType: 1,
+    premiumLeft: 30 * 24 * 3600,
+    pts: 1200,
+    trafficshare: 0,
+    registerDate: "2020-01-01",
+    serverDetected: false,
+    avatarUrl: null,
+  });
+});
+
+api.put("/account/update", (req, res) => {
+  ok(res, { updated: Object.keys(req.body || {}) });
+});
+
+// Seedbox
+
+api.get("/seedbox/list", (req, res) => {
+  const torrents = store
+    .filterByIds(store.getSandboxState().torrents, req.query.ids)
+    .map(store.toTorrentResponse);
+  const { value, pagination } = store.paginate(torrents, req.query);
+
+  ok(res, value, { pagination });
+});
+
+api.get("/seedbox/activity", (req, res) => {
+  ok(
+    res,
+    store
+      .filterByIds(store.getSandboxState().torrents, req.query.ids)
+      .map(store.toActivityResponse)
+  );
+});
+
+api.post("/seedbox/add", (req, res) => {
+  const { url, wait } = req.body || {};
+
+  if (typeof url !== "string" || url.length === 0) {
+    fail(res, 400, "badArguments");
+    return;
+  }
+
+  ok(res, store.toTorrentResponse(store.addTorrent({ url, wait })));
+});
+
+api.delete("/seedbox/:ids/remove", (req, res) => {
+  const removed = store.removeByIds(
+    store.getSandboxState().torrents,
+    req.params.ids
+  );
+
+  if (removed.length === 0) {
+    fail(res, 404, "notFound");
+    return;
+  }
+
+  ok(res, removed);
+});
+
+api.post("/seedbox/:id/zip", (req, res) => {
+  const torrent = findOr404(
+    store.getSandboxState().torrents,
+    req.params.id,
+    res
+  );
+
+  if (torrent) {
+    ok(res, {
+      name: `${torrent.name}.zip`,
+      downloadUrl: `https://sandbox.debrid-link.invalid/zip/${torrent.id}.zip`,
+    });
+  }
+});
+
+api.put("/seedbox/:id/config", (req, res) => {
+  const torrent = findOr404(
+    store.getSandboxState().torrents,
+    req.params.id,
+    res
+  );
+
+  if (torrent) {
+    const unwanted = req.body?.["files-unwanted"];
+
+    ok(
+      res,
+      store.toTorrentResponse(
+        store.configureTorrent(torrent, {
+          unwanted: Array.isArray(unwanted) ? unwanted : [],
+        })
+      )
+    );
+  }
+});
+
+api.get("/seedbox/limits", (req, res) => {
+  ok(res, {
+    torrents: store.limitsFor(store.getSandboxState().torrents.size, 100),
+  });
+});
+
+// Seedbox RSS
+
+api.get("/seedbox/rss/list", (req, res) => {
+  const feeds = Array.from(store.getSandboxState().feeds.values());
+  const { value, pagination } = store.paginate(feeds, req.query);
+
+  ok(res, value, { pagination });
+});
+
+api.post("/seedbox/rss/add", (req, res) => {
+  const { url } = req.body || {};
+
+  if (typeof url !== "string" || !/^https?:\/\//.test(url)) {
+    fail(res, 400, "badArguments");
+    return;
+  }
+
+  ok(res, store.addFeed({ url }));
+});
+
+api.get("/seedbox/rss/limits", (req, res) => {
+  ok(res, { feeds: store.limitsFor(store.getSandboxState().feeds.size, 10) });
+});
+
+api.get("/seedbox/rss/limits/compare", (req, res) => {
+  ok(res, [
+    { accountType: 0, feeds: 0 },
+    { accountType: 1, feeds: 10 },
+  ]);
+});
+
+api.get("/seedbox/rss/:id/test", (req, res) => {
+  const feed = findOr404(store.getSandboxState().feeds, req.params.id, res);
+
+  if (feed) {
+    ok(res, store.sampleFeedItems(feed));
+  }
+});
+
+api.put("/seedbox/rss/:id/update", (req, res) => {
+  const feed = findOr404(store.getSandboxState().feeds, req.params.id, res);
+
+  if (feed) {
+    ok(res, store.updateFeed(feed, req.body));
+  }
+});
+
+api.delete("/seedbox/rss/:ids/remove", (req, res) => {
+  const removed = store.removeByIds(
+    store.getSandboxState().feeds,
+    req.params.ids
+  );
+
+  if (removed.length === 0) {
+    fail(res, 404, "notFound");
+    return;
+  }
+
+  ok(res, removed);
+});
+
+// Downloader
+
+api.get("/downloader/list", (req, res) => {
+  const links = store.filterByIds(store.getSandboxState().links, req.query.ids);
+  const { value, pagination } = store.paginate(links, req.query);
+
+  ok(res, value, { pagination });
+});
+
+api.post("/downloader/add", (req, res) => {
+  const { url } = req.body || {};
+
+  if (typeof url !== "string" || url.length === 0) {
+    fail(res, 400, "badArguments");
+    return;
+  }
+
+  const link = store.addLink({ url });
+
+  if (!link) {
+    fail(res, 400, "notDebrid");
+    return;
+  }
+
+  ok(res, link);
+});
+
+api.delete("/downloader/:ids/remove", (req, res) => {
+  const removed = store.removeByIds(
+    store.getSandboxState().links,
+    req.params.ids
+  );
+
+  if (removed.length === 0) {
+    fail(res, 404, "notFound");
+    return;
+  }
+
+  ok(res, removed);
+});
+
+api.get("/downloader/hosts", (req, res) => {
+  ok(
+    res,
+    store.HOSTS.map((host) => ({
+      name: host.name,
+      status: 1,
+      isFree: false,
+      domains: host.domains,
+    }))
+  );
+});
+
+api.get("/downloader/domains", (req, res) => {
+  ok(
+    res,
+    store.HOSTS.flatMap((host) => host.domains)
+  );
+});
+
+api.get("/downloader/regex", (req, res) => {
+  ok(
+    res,
+    store.HOSTS.map((host) => ({
+      name: host.name,
+      regexs: host.domains.map(
+        (domain) => `https?://(www\\.)?${domain.replace(/\./g, "\\.")}/.+`
+      ),
+    }))
+  );
+});
+
+api.get("/downloader/limits", (req, res) => {
+  ok(res, { links: store.limitsFor(store.getSandboxState().links.size, 500) });
+});
+
+// Files
+
+api.get("/files/:idParent/list", (req, res) => {
+  const torrent = findOr404(
+    store.getSandboxState().torrents,
+    req.params.idParent,
+    res
+  );
+
+  if (torrent) {
+    const { files } = store.toTorrentResponse(torrent);
+    const { value, pagination } = store.paginate(
+      files.map((file) => ({ ...file, type: "file", parent: torrent.id })),
+      req.query
+    );
+
+    ok(res, value, { pagination });
+  }
+});
+
+// Streaming
+
+api.post("/stream/transcode/add", (req, res) => {
+  const transcode = store.addTranscode(String(req.body?.fileId || ""));
+
+  if (!transcode) {
+    fail(res, 404, "notFound");
+    return;
+  }
+
+  ok(res, transcode);
+});
+
+api.get("/stream/transcode/:id/infos", (req, res) => {
+  const transcode = findOr404(
+    store.getSandboxState().transcodes,
+    req.params.id,
+    res
+  );
+
+  if (transcode) {
+    ok(res, transcode);
+  }
+});
+
+// OAuth; errors follow RFC 6749 instead of the { success, error } envelope.
+
+oauth.post("/oauth/device/code", (req, res) => {
+  if (!req.body?.client_id) {
+    res.status(400).json({ error: "invalid_client" });
+    return;
+  }
+
+  res.json(store.createDeviceCode(req.body.scope));
+});
+
+oauth.post("/oauth/token", (req, res) => {
+  const body = req.body || {};
+
+  if (!body.client_id) {
+    res.status(400).json({ error: "invalid_client" });
+    return;
+  }
+
+  if (body.grant_type === "http://oauth.net/grant_type/device/1.0") {
+    const result = store.pollDeviceCode(body.code);
+
+    if (result.error) {
+      res.status(400).json({ error: result.error });
+      return;
+    }
+
+    res.json(result.tokens);
+    return;
+  }
+
+  if (body.grant_type === "refresh_token") {
+    const tokens = store.refreshTokens(body.refresh_token);
+
+    if (!tokens) {
+      res.status(400).json({ error: "invalid_grant" });
+      return;
+    }
+
+    res.json(tokens);
+    return;
+  }
+
+  if (body.grant_type === "client_credentials") {
+    res.json(store.issueTokens(body.scope));
+    return;
+  }
+
+  res.status(400).json({ error: "unsupported_grant_type" });
+});
+
+oauth.post("/oauth/revoke", (req, res) => {
+  store.revokeToken(req.body?.token);
+  res.json({ success: true });
+});
+
+router.use(express.json(), express.urlencoded({ extended: true }));
+router.use(injectFaults);
+router.post("/reset", (req, res) => {
+  store.resetSandboxState();
+  ok(res, { reset: true });
+});
+router.use("/api/v2", requireAccessToken, api);
+router.use("/api", oauth);
+router.use((req, res) => fail(res, 404, "notFound"));
+
+module.exports = router;
@@ -0,0 +1,437 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// In-memory state of the sandbox Debrid-Link account. Nothing is persisted;
+// resetSandboxState() starts over from an empty account.
+const TORRENT_DOWNLOADING = 4;
+const TORRENT_FINISHED = 100;
+const DEVICE_CODE_TTL_SECONDS = 600;
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const SIMULATED_SPEED_BYTES = 5 * 1024 * 1024;
+const HOSTS = [
+  { name: "1fichier", domains: ["1fichier.com"] },
+  { name: "uptobox", domains: ["uptobox.com", "uptostream.com"] },
+  { name: "mega", domains: ["mega.nz", "mega.co.nz"] },
+];
+
+let state;
+
+const randomId = (bytes = 10) => crypto.randomBytes(bytes).toString("hex");
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const resetSandboxState = () => {
+  state = {
+    torrents: new Map(),
+    links: new Map(),
+    feeds: new Map(),
+    transcodes: new Map(),
+    deviceCodes: new Map(),
+    tokens: new Map(),
+  };
+};
+
+resetSandboxState();
+
+const stableSize = (seed) =>
+  ((parseInt(
+    crypto.createHash("md5").update(seed).digest("hex").slice(0, 6),
+    16
+  ) %
+    4000) +
+    100) *
+  1024 *
+  1024;
+
+const parseMagnet = (url) => {
+  if (!/^magnet:\?/i.test(url)) {
+    return null;
+  }
+
+  const params = new URLSearchParams(url.slice(url.indexOf("?") + 1));
+  const btih = /urn:btih:([a-z0-9]+)/i.exec(params.get("xt") || "");
+
+  return {
+    hash: btih ? btih[1].toLowerCase() : null,
+    name: params.get("dn"),
+  };
+};
+
+const nameFromUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const last = parsed.pathname.split("/").filter(Boolean).pop();
+    return last ? decodeURIComponent(last) : parsed.hostname;
+  } catch (_error) {
+    return url;
+  }
+};
+
+const paginate = (items, query = {}) => {
+  const perPage = Math.min(Math.max(Number(query.perPage) || 20, 1), 50);
+  const page = Math.max(Number(query.page) || 0, 0);
+  const pages = Math.max(Math.ceil(items.length / perPage), 1);
+
+  return {
+    value: items.slice(page * perPage, (page + 1) * perPage),
+    pagination: {
+      page,
+      pages,
+      next: page + 1 < pages ? page + 1 : -1,
+      previous: page > 0 ? page - 1 : -1,
+    },
+  };
+};
+
+const filterByIds = (map, ids) => {
+  const items = Array.from(map.values());
+
+  if (!ids) {
+    return items;
+  }
+
+  const wanted = new Set(String(ids).split(","));
+  return items.filter((item) => wanted.has(item.id));
+};
+
+// Progress is derived from the elapsed time so every read moves it forward.
+const progressOf = (torrent) => {
+  if (torrent.wait) {
+    return 0;
+  }
+
+  const elapsed = Date.now() - torrent.startedAt;
+  return Math.min(
+    100,
+    Math.floor((elapsed / config.sandboxTorrentDurationMs) * 100)
+  );
+};
+
+const toTorrentResponse = (torrent) => {
+  const percent = progressOf(torrent);
+  const finished = percent >= 100;
+
+  return {
+    id: torrent.id,
+    name: torrent.name,
+    hashString: torrent.hash,
+    uploadRatio: finished ? 0.42 : 0,
+    serverId: "sandbox1",
+    wait: torrent.wait,
+    peersConnected: finished || torrent.wait ? 0 : 12,
+    status: finished ? TORRENT_FINISHED : TORRENT_DOWNLOADING,
+    totalSize: torrent.totalSize,
+    files: torrent.files.map((file) => ({
+      id: file.id,
+      name: file.name,
+      downloadUrl: finished
+        ? `https://sandbox.debrid-link.invalid/dl/${
+            file.id
+          }/${encodeURIComponent(file.name)}`
+        : null,
+      size: file.size,
+      downloadPercent: torrent.unwanted.has(file.id) ? 0 : percent,
+    })),
+    trackers: [{ announce: "udp://tracker.sandbox.invalid:1337/announce" }],
+    created: torrent.created,
+    downloadPercent: percent,
+    downloadSpeed: finished || torrent.wait ? 0 : SIMULATED_SPEED_BYTES,
+    uploadSpeed: finished ? 0 : 256 * 1024,
+  };
+};
+
+const toActivityResponse = (torrent) => {
+  const {
+    id,
+    downloadPercent,
+    downloadSpeed,
+    uploadSpeed,
+    status,
+    peersConnected,
+  } = toTorrentResponse(torrent);
+
+  return {
+    id,
+    downloadPercent,
+    downloadSpeed,
+    uploadSpeed,
+    status,
+    peersConnected,
+  };
+};
+
+const addTorrent = ({ url, wait = false }) => {
+  const magnet = parseMagnet(url);
+  const hash =
+    magnet?.hash || crypto.createHash("sha1").update(url).digest("hex");
+  const existing = Array.from(state.torrents.values()).find(
+    (torrent) => torrent.hash === hash
+  );
+
+  if (existing) {
+    return existing;
+  }
+
+  const name = magnet?.name || nameFromUrl(url);
+  const totalSize = stableSize(hash);
+  const id = `${randomId(3)}-${hash.slice(0, 8)}`;
+  const torrent = {
+    id,
+    name,
+    hash,
+    wait: wait === true || wait === "true",
+    totalSize,
+    created: nowSeconds(),
+    startedAt: Date.now(),
+    unwanted: new Set(),
+    files: [
+      { id: `${id}-0`, name: `${name}.mkv`, size: totalSize - 2048 },
+      { id: `${id}-1`, name: `${name}.nfo`, size: 2048 },
+    ],
+  };
+
+  state.torrents.set(id, torrent);
+  return torrent;
+};
+
+const configureTorrent = (torrent, { unwanted = [] }) => {
+  torrent.unwanted = new Set(unwanted.map(String));
+
+  if (torrent.wait) {
+    torrent.wait = false;
+    torrent.startedAt = Date.now();
+  }
+
+  return torrent;
+};
+
+const removeByIds = (map, ids) =>
+  String(ids)
+    .split(",")
+    .filter((id) => map.delete(id));
+
+const findFile = (fileId) => {
+  for (const torrent of state.torrents.values()) {
+    const file = torrent.files.find((entry) => entry.id === fileId);
+
+    if (file) {
+      return { torrent, file };
+    }
+  }
+
+  return null;
+};
+
+const matchHost = (url) => {
+  let hostname;
+
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, "");
+  } catch (_error) {
+    return null;
+  }
+
+  return HOSTS.find((host) => host.domains.includes(hostname)) || null;
+};
+
+const addLink = ({ url }) => {
+  const host = matchHost(url);
+
+  if (!host) {
+    return null;
+  }
+
+  const id = randomId(6);
+  const link = {
+    id,
+    name: nameFromUrl(url),
+    url,
+    downloadUrl: `https://sandbox.debrid-link.invalid/dl/${id}/${encodeURIComponent(
+      nameFromUrl(url)
+    )}`,
+    host: host.name,
+    size: stableSize(url),
+    chunk: 16,
+    expired: false,
+    created: nowSeconds(),
+  };
+
+  state.links.set(id, link);
+  return link;
+};
+
+const addFeed = ({ url }) => {
+  const id = randomId(6);
+  const feed = {
+    id,
+    url,
+    name: nameFromUrl(url),
+    autoAdd: false,
+    filters: [],
+    created: nowSeconds(),
+  };
+
+  state.feeds.set(id, feed);
+  return feed;
+};
+
+const updateFeed = (feed, changes = {}) => {
+  ["name", "autoAdd", "filters"].forEach((field) => {
+    if (changes[field] !== undefined) {
+      feed[field] = changes[field];
+    }
+  });
+
+  return feed;
+};
+
+const sampleFeedItems = (feed) =>
+  [1, 2, 3].map((index) => ({
+    title: `${feed.name} item ${index}`,
+    url: `magnet:?xt=urn:btih:${crypto
+      .createHash("sha1")
+      .update(`${feed.id}-${index}`)
+      .digest("hex")}&dn=${encodeURIComponent(`${feed.name}-${index}`)}`,
+    pubDate: nowSeconds() - index * 3600,
+  }));
+
+const addTranscode = (fileId) => {
+  const match = findFile(fileId);
+
+  if (!match) {
+    return null;
+  }
+
+  const id = randomId(6);
+  const transcode = {
+    id,
+    file: { id: match.file.id, name: match.file.name, size: match.file.size },
+    streamUrl: `https://sandbox.debrid-link.invalid/stream/${id}/master.m3u8`,
+    streamUrlDownload: `https://sandbox.debrid-link.invalid/stream/${id}/download`,
+    created: nowSeconds(),
+  };
+
+  state.transcodes.set(id, transcode);
+  return transcode;
+};
+
+const limitsFor = (used, max) => ({
+  current: { value: used, max },
+  nextResetSeconds: 86400 - (nowSeconds() % 86400),
+});
+
+const issueTokens = (scope = "get.post.delete.seedbox.downloader") => {
+  const token = {
+    access_token: randomId(20),
+    refresh_token: randomId(20),
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    token_type: "Bearer",
+    scope,
+  };
+
+  state.tokens.set(token.access_token, {
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000,
+    refreshToken: token.refresh_token,
+  });
+
+  return token;
+};
+
+// API_TOKEN is accepted as a static API key. Any other token must have been
+// issued by the sandbox and be neither expired, revoked nor replaced by a
+// refresh; entries are kept once revoked so such tokens stay refused.
+const checkAccessToken = (value) => {
+  if (config.defaultToken && value === config.defaultToken) {
+    return true;
+  }
+
+  const issued = state.tokens.get(value);
+
+  return Boolean(issued) && !issued.revoked && issued.expiresAt > Date.now();
+};
+
+const refreshTokens = (refreshToken) => {
+  const issued = Array.from(state.tokens.values()).find(
+    (token) => token.refreshToken === refreshToken && !token.revoked
+  );
+
+  if (!issued) {
+    return null;
+  }
+
+  issued.revoked = true;
+  return issueTokens();
+};
+
+// Accepts an access or a refresh token and revokes the pair it belongs to.
+const revokeToken = (value) => {
+  state.tokens.forEach((token, accessToken) => {
+    if (accessToken === value || token.refreshToken === value) {
+      token.revoked = true;
+    }
+  });
+};
+
+// Device codes are approved automatically on the second poll, which mimics a
+// user confirming the code in their browser.
+const createDeviceCode = (scope) => {
+  const deviceCode = randomId(16);
+  const userCode = randomId(3).toUpperCase();
+
+  state.deviceCodes.set(deviceCode, {
+    polls: 0,
+    scope,
+    expiresAt: Date.now() + DEVICE_CODE_TTL_SECONDS * 1000,
+  });
+
+  return {
+    device_code: deviceCode,
+    user_code: userCode,
+    verification_url: "https://sandbox.debrid-link.invalid/device",
+    expires_in: DEVICE_CODE_TTL_SECONDS,
+    interval: 5,
+  };
+};
+
+const pollDeviceCode = (deviceCode) => {
+  const entry = state.deviceCodes.get(deviceCode);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    state.deviceCodes.delete(deviceCode);
+    return { error: "expired_token" };
+  }
+
+  entry.polls += 1;
+
+  if (entry.polls < 2) {
+    return { error: "authorization_pending" };
+  }
+
+  state.deviceCodes.delete(deviceCode);
+  return { tokens: issueTokens(entry.scope) };
+};
+
+module.exports = {
+  HOSTS,
+  getSandboxState: () => state,
+  resetSandboxState,
+  paginate,
+  filterByIds,
+  toTorrentResponse,
+  toActivityResponse,
+  addTorrent,
+  configureTorrent,
+  removeByIds,
+  addLink,
+  addFeed,
+  updateFeed,
+  sampleFeedItems,
+  addTranscode,
+  limitsFor,
+  issueTokens,
+  checkAccessToken,
+  refreshTokens,
+  revokeToken,
+  createDeviceCode,
+  pollDeviceCode,
+};
@@ -1,61 +1,98 @@
 const express = require("express");
 const cors = require("cors");
-const morgan = require("morgan");
 const createError = require("http-errors");
 const config = require("./config");
-const endpointGroups = require("./endpoints");
-const { toChineseIsoString } = require("./utils/time");
+const { logger } = require("./utils/logger");
 const { createProxyHandler } = require("./services/proxyForwarder");
-const { initMongo } = require("./services/mongoClient");
+const { proxyEndpoints } = require("./services/proxyEndpoints");
+const { initMongo, closeMongo } = require("./services/mongoClient");
+const {
+  startTorrentWatcher,
+  stopTorrentWatcher,
+} = require("./services/torrentWatcher");
+const {
+  startAccountPoolMonitor,
+  stopAccountPoolMonitor,
+} = require("./services/accountPoolMonitor");
+const {
+  startRssScheduler,
+  stopRssScheduler,
+} = require("./services/rssScheduler");
+const { closeAllChannels } = require("./services/activityStream");
+const { markDraining } = require("./services/readiness");
+const { authenticateRequest } = require("./middleware/auth");
+const { rateLimit } = require("./middleware/rateLimit");
+const { auditRequest } = require("./middleware/audit");
+const { requestContext } = require("./middleware/requestContext");
+const { recordHttpMetrics } = require("./middleware/metrics");
 const usersRouter = require("./routes/users");
 const transactionsRouter = require("./routes/transactions");
 const giftCardsRouter = require("./routes/giftCards");
+const auditLogRouter = require("./routes/auditLog");
+const upstreamAccountsRouter = require("./routes/upstreamAccounts");
+const meRouter = require("./routes/me");
+const rssRouter = require("./routes/rss");
+const batchRouter = require("./routes/batch");
+const seedboxStreamRouter = require("./routes/seedboxStream");
+const downloadsRouter = require("./routes/downloads");
+const docsRouter = require("./routes/docs");
+const metricsRouter = require("./routes/metrics");
+const healthRouter = require("./routes/health");
+const testerRouter = require("./routes/tester");
+const sandboxRouter = require("./sandbox");
 
 const app = express();
 
 app.disable("x-powered-by");
+app.set("trust proxy", config.trustProxy);
 app.use(cors());
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ extended: true }));
-app.use(morgan("dev"));
-
-app.get("/health", (req, res) => {
-  res.json({
-    success: true,
-    value: {
-      status: "ok",
-      uptime: process.uptime(),
-      timestamp: toChineseIsoString(),
-    },
-  });
-});
-
-app.use("/users", usersRouter);
-app.use("/transactions", transactionsRouter);
-app.use("/gift-cards", giftCardsRouter);
-
-const baseUrlMap = {
-  api: config.apiBaseUrl,
-  oauth: config.oauthBaseUrl,
-};
-
-const registerEndpoint = (
-  appInstance,
-  baseUrl,
-  endpoint,
-  defaultAllowEnvToken = true
-) => {
-  const handler = createProxyHandler({
-    baseUrl,
-    upstreamPath: endpoint.upstreamPath || endpoint.path,
-    allowEnvToken:
-      typeof endpoint.allowEnvToken === "boolean"
-        ? endpoint.allowEnvToken
-        : defaultAllowEnvToken,
-    summary: endpoint.summary,
-    timeout: endpoint.timeout,
-  });
-
+app.use(requestContext);
+app.use(recordHttpMetrics);
+
+// Only local routers parse bodies; proxy routes stream them upstream untouched.
+const parseBody = [
+  express.json({ limit: "1mb" }),
+  express.urlencoded({ extended: true }),
+];
+
+app.use(healthRouter);
+app.use("/metrics", metricsRouter);
+
+const auditMutations = auditRequest({ kind: "local", mutatingOnly: true });
+
+app.use("/users", parseBody, auditMutations, usersRouter);
+app.use("/transactions", parseBody, auditMutations, transactionsRouter);
+app.use("/gift-cards", parseBody, auditMutations, giftCardsRouter);
+app.use("/audit-log", auditLogRouter);
+app.use(
+  "/upstream-accounts",
+  parseBody,
+  auditMutations,
+  upstreamAccountsRouter
+);
+app.use("/me", parseBody, auditMutations, meRouter);
+app.use("/rss", parseBody, auditMutations, rssRouter);
+app.use("/batch", parseBody, batchRouter);
+app.use("/seedbox/stream", seedboxStreamRouter);
+app.use("/dl", downloadsRouter);
+app.use(docsRouter);
+
+if (config.sandboxMode) {
+  app.use("/sandbox", sandboxRouter);
+}
+
+if (config.testerEnabled) {
+  app.use("/tester", testerRouter);
+}
+
+const registerEndpoint = (appInstance, { endpoint, options }) => {
+  const handler = createProxyHandler(options);
+  const middlewares = [
+    auditRequest({ kind: "proxy", route: endpoint.path }),
+    authenticateRequest,
+    rateLimit(endpoint.rateLimit || "proxy"),
+    handler,
+  ];
   const methods =
     endpoint.methods && endpoint.methods.length > 0
       ? endpoint.methods
@@ -65,30 +102,41 @@ const registerEndpoint = (
     const normalizedMethod = method.toLowerCase();
 
     if (normalizedMethod === "all") {
-      appInstance.all(endpoint.path, handler);
+      appInstance.all(endpoint.path, middlewares);
       return;
     }
 
     if (typeof appInstance[normalizedMethod] !== "function") {
-      console.warn(`Unsupported HTTP method ${method} for ${endpoint.path}`);
+      logger.warn("Unsupported HTTP method", {
+        method,
+        route: endpoint.path,
+      });
       return;
     }
 
-    appInstance[normalizedMethod](endpoint.path, handler);
+    appInstance[normalizedMethod](endpoint.path, middlewares);
   });
-};
 
-endpointGroups.forEach((group) => {
-  const baseUrl = baseUrlMap[group.base];
+  if (!methods.includes("all")) {
+    const allowed = methods.map((method) => method.toUpperCase());
 
-  if (!baseUrl) {
-    console.warn(`No base URL configured for group ${group.base}`);
-    return;
+    if (allowed.includes("GET") && !allowed.includes("HEAD")) {
+      allowed.push("HEAD");
+    }
+
+    appInstance.all(endpoint.path, (req, res, next) => {
+      next(
+        createError(405, `Method ${req.method} is not allowed`, {
+          code: "method_not_allowed",
+          headers: { Allow: allowed.join(", ") },
+        })
+      );
+    });
   }
+};
 
-  group.endpoints.forEach((endpoint) => {
-    registerEndpoint(app, baseUrl, endpoint, group.allowEnvToken ?? true);
-  });
+proxyEndpoints.forEach((proxyEndpoint) => {
+  registerEndpoint(app, proxyEndpoint);
 });
 
 app.use((req, res, next) => {
@@ -99,28 +147,100 @@ app.use((err, req, res, next) => {
   const status = err.status || 500;
   const message = err.expose ? err.message : "internalError";
 
+  res.locals.errorMessage = err.message;
+
   if (status >= 500) {
-    console.error(err);
+    logger.error("Request failed", { error: err });
+  }
+
+  if (err.headers) {
+    res.set(err.headers);
   }
 
   res.status(status).json({
     success: false,
     error: message,
+    code: (err.expose && err.code) || null,
     details: err.details || null,
   });
 });
 
+let server = null;
+let shuttingDown = false;
+
+// Fails readiness for SHUTDOWN_DELAY_MS while still serving, then stops
+// taking connections, lets in-flight requests finish until
+// SHUTDOWN_TIMEOUT_MS, drops whatever is left and closes Mongo.
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+
+  shuttingDown = true;
+  markDraining();
+  logger.info("Shutting down", { signal });
+
+  if (config.shutdownDelayMs > 0) {
+    await new Promise((resolve) => setTimeout(resolve, config.shutdownDelayMs));
+  }
+
+  const deadline = setTimeout(() => {
+    logger.warn("Shutdown deadline reached, closing open connections");
+    server?.closeAllConnections();
+  }, config.shutdownTimeoutMs);
+
+  try {
+    // Event streams never end on their own, so they are closed up front.
+    closeAllChannels();
+
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    await Promise.all([
+      stopTorrentWatcher(),
+      stopAccountPoolMonitor(),
+      stopRssScheduler(),
+    ]);
+    await closeMongo();
+    logger.info("Shutdown complete");
+  } catch (err) {
+    logger.error("Shutdown failed", { error: err });
+    process.exitCode = 1;
+  } finally {
+    clearTimeout(deadline);
+  }
+};
+
 const startServer = async () => {
   try {
+    // Signed links are keyed separately from the JWTs.
+    if (config.signedLinksEnabled && !config.signedLinkSecret) {
+      throw new Error(
+        "SIGNED_LINK_SECRET is required with SIGNED_LINKS_ENABLED"
+      );
+    }
+
     await initMongo();
+    startTorrentWatcher();
+    startAccountPoolMonitor();
+    startRssScheduler();
+
+    server = app.listen(config.port, () => {
+      logger.info("Debrid-Link proxy listening", { port: config.port });
 
-    app.listen(config.port, () => {
-      console.log(`Debrid-Link proxy listening on port ${config.port}`);
+      if (config.sandboxMode) {
+        logger.warn("Sandbox mode: upstream calls are served by /sandbox");
+      }
     });
   } catch (err) {
-    console.error("Failed to start server", err);
+    logger.error("Failed to start server", { error: err });
     process.exit(1);
   }
 };
 
+["SIGTERM", "SIGINT"].forEach((signal) => {
+  process.once(signal, () => shutdown(signal));
+});
+
 startServer();
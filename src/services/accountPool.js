@@ -0,0 +1,353 @@
+const createError = require("http-errors");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+const { encryptSecret, decryptSecret } = require("./credentialVault");
+const { readUpstreamErrorCode } = require("./upstreamErrors");
+
+// Shared Debrid-Link accounts used by users who have not linked their own.
+// Each user sticks to one account (`upstream_account` on the user document)
+// until it becomes limited, revoked or disabled.
+const ASSIGNMENT_FIELD = "upstream_account";
+// Upstream error codes that take an account out of rotation.
+const FAILURE_STATES = {
+  limit_reached: "limited",
+  upstream_unauthorized: "revoked",
+};
+
+// Every proxied call resolves a pool account, so the enabled accounts are
+// kept for a few seconds. Writes from this instance drop them at once.
+const ENABLED_ACCOUNTS_TTL_MS = 5000;
+
+// One assignment per user at a time; concurrent callers share the promise.
+const inflightAssignments = new Map();
+let enabledAccountsCache = null;
+
+const upstreamAccountsCollection = () =>
+  getDb().collection(config.mongoUpstreamAccountsCollection);
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const forgetEnabledAccounts = () => {
+  enabledAccountsCache = null;
+};
+
+const loadEnabledAccounts = () => {
+  if (!enabledAccountsCache || enabledAccountsCache.expiresAt <= Date.now()) {
+    const accounts = upstreamAccountsCollection()
+      .find({ enabled: true })
+      .toArray();
+
+    accounts.catch(forgetEnabledAccounts);
+    enabledAccountsCache = {
+      accounts,
+      expiresAt: Date.now() + ENABLED_ACCOUNTS_TTL_MS,
+    };
+  }
+
+  return enabledAccountsCache.accounts;
+};
+
+const toObjectId = (value) => {
+  if (value instanceof ObjectId) {
+    return value;
+  }
+
+  if (!ObjectId.isValid(value)) {
+    throw createError(404, "Upstream account not found");
+  }
+
+  return new ObjectId(value);
+};
+
+const isAccountEligible = (account, now = toChineseIsoString()) => {
+  if (!account.enabled || account.status === "revoked") {
+    return false;
+  }
+
+  return (
+    account.status !== "limited" ||
+    Boolean(account.limited_until && account.limited_until <= now)
+  );
+};
+
+const toPoolAccount = (doc) => ({
+  id: doc._id,
+  label: doc.label,
+  accessToken: decryptSecret(doc.access_token),
+});
+
+const listPoolAccounts = () =>
+  upstreamAccountsCollection().find({}).sort({ created_at: 1 }).toArray();
+
+const findPoolAccount = async (id) => {
+  const account = await upstreamAccountsCollection().findOne({
+    _id: toObjectId(id),
+  });
+
+  if (!account) {
+    throw createError(404, "Upstream account not found");
+  }
+
+  return account;
+};
+
+const createPoolAccount = async ({ label, accessToken, enabled = true }) => {
+  const timestamp = toChineseIsoString();
+  const doc = {
+    label,
+    access_token: encryptSecret(accessToken),
+    enabled,
+    status: "active",
+    limited_until: null,
+    utilization: null,
+    limits: null,
+    last_error: null,
+    checked_at: null,
+    created_at: timestamp,
+    updated_at: timestamp,
+  };
+  const { insertedId } = await upstreamAccountsCollection().insertOne(doc);
+  forgetEnabledAccounts();
+
+  return { ...doc, _id: insertedId };
+};
+
+// A new token gives a revoked or limited account a fresh start.
+const updatePoolAccount = async (id, { label, accessToken, enabled }) => {
+  const updates = { updated_at: toChineseIsoString() };
+
+  if (label !== undefined) {
+    updates.label = label;
+  }
+
+  if (enabled !== undefined) {
+    updates.enabled = enabled;
+  }
+
+  if (accessToken !== undefined) {
+    Object.assign(updates, {
+      access_token: encryptSecret(accessToken),
+      status: "active",
+      limited_until: null,
+      last_error: null,
+    });
+  }
+
+  const account = await upstreamAccountsCollection().findOneAndUpdate(
+    { _id: toObjectId(id) },
+    { $set: updates },
+    { returnDocument: "after" }
+  );
+  forgetEnabledAccounts();
+
+  if (!account) {
+    throw createError(404, "Upstream account not found");
+  }
+
+  return account;
+};
+
+const removePoolAccount = async (id) => {
+  const accountId = toObjectId(id);
+  const result = await upstreamAccountsCollection().deleteOne({
+    _id: accountId,
+  });
+  forgetEnabledAccounts();
+
+  if (result.deletedCount === 0) {
+    throw createError(404, "Upstream account not found");
+  }
+
+  await usersCollection().updateMany(
+    { [`${ASSIGNMENT_FIELD}.account_id`]: accountId },
+    { $unset: { [ASSIGNMENT_FIELD]: "" } }
+  );
+};
+
+// Stores the outcome of a limits check. Only a fully used account is limited
+// by a check; one limited by a failed call stays out until its cooldown ends.
+const recordAccountCheck = async (account, { utilization, limits, error }) => {
+  const timestamp = toChineseIsoString();
+
+  if (error) {
+    const status = FAILURE_STATES[error.code] || account.status;
+
+    await upstreamAccountsCollection().updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          status,
+          last_error: { ...error, at: timestamp },
+          checked_at: timestamp,
+        },
+      }
+    );
+    forgetEnabledAccounts();
+    return;
+  }
+
+  const coolingDown =
+    account.status === "limited" &&
+    Boolean(account.limited_until && account.limited_until > timestamp);
+  const status = utilization >= 1 || coolingDown ? "limited" : "active";
+
+  await upstreamAccountsCollection().updateOne(
+    { _id: account._id },
+    {
+      $set: {
+        status,
+        utilization,
+        limits,
+        last_error: null,
+        checked_at: timestamp,
+      },
+    }
+  );
+  forgetEnabledAccounts();
+};
+
+const countAssignedUsers = async () => {
+  const counts = await usersCollection()
+    .aggregate([
+      { $match: { [`${ASSIGNMENT_FIELD}.account_id`]: { $exists: true } } },
+      {
+        $group: { _id: `$${ASSIGNMENT_FIELD}.account_id`, count: { $sum: 1 } },
+      },
+    ])
+    .toArray();
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Least utilized first, then the account with the fewest users.
+const pickAccount = async (accounts) => {
+  const assigned = await countAssignedUsers();
+  const load = (account) => [
+    account.utilization ?? 0,
+    assigned.get(account._id.toString()) || 0,
+  ];
+
+  return [...accounts].sort((left, right) => {
+    const [leftUtilization, leftUsers] = load(left);
+    const [rightUtilization, rightUsers] = load(right);
+
+    return leftUtilization - rightUtilization || leftUsers - rightUsers;
+  })[0];
+};
+
+const assignPoolAccount = async (user, accounts) => {
+  const account = await pickAccount(accounts);
+  const assignment = {
+    account_id: account._id,
+    assigned_at: toChineseIsoString(),
+  };
+
+  await usersCollection().updateOne(
+    { _id: user._id },
+    { $set: { [ASSIGNMENT_FIELD]: assignment } }
+  );
+  user[ASSIGNMENT_FIELD] = assignment;
+
+  return account;
+};
+
+// Resolves the pool account for a user's upstream call, assigning one when
+// the user has none or theirs dropped out of rotation. Items the user added
+// on an earlier account stay there; the ownership hook refuses calls that
+// target them. Resolves with null when the pool is empty; throws when every
+// account is unavailable and no API_TOKEN fallback exists.
+const resolvePoolAccount = async (user) => {
+  const accounts = await loadEnabledAccounts();
+
+  if (accounts.length === 0 || !user?._id) {
+    return null;
+  }
+
+  const now = toChineseIsoString();
+  const assignedId = user[ASSIGNMENT_FIELD]?.account_id;
+  const current =
+    assignedId && accounts.find((account) => account._id.equals(assignedId));
+
+  if (current && isAccountEligible(current, now)) {
+    return toPoolAccount(current);
+  }
+
+  const eligible = accounts.filter((account) =>
+    isAccountEligible(account, now)
+  );
+
+  if (eligible.length === 0) {
+    if (config.defaultToken) {
+      return null;
+    }
+
+    throw createError(503, "No upstream Debrid-Link account is available", {
+      expose: true,
+      code: "pool_exhausted",
+    });
+  }
+
+  const key = user._id.toString();
+
+  if (!inflightAssignments.has(key)) {
+    const pending = assignPoolAccount(user, eligible).finally(() => {
+      inflightAssignments.delete(key);
+    });
+
+    inflightAssignments.set(key, pending);
+  }
+
+  return toPoolAccount(await inflightAssignments.get(key));
+};
+
+// Takes the account out of rotation when the upstream error shows it is
+// exhausted or revoked, then resolves with the user's next account. Resolves
+// with null when the error is unrelated to the account or nothing else is
+// available.
+const failoverPoolAccount = async (user, account, response) => {
+  const code = readUpstreamErrorCode(response.data);
+  const status = FAILURE_STATES[code];
+
+  if (!status) {
+    return null;
+  }
+
+  const timestamp = toChineseIsoString();
+
+  await upstreamAccountsCollection().updateOne(
+    { _id: account.id },
+    {
+      $set: {
+        status,
+        limited_until:
+          status === "limited"
+            ? toChineseIsoString(
+                new Date(Date.now() + config.accountPoolCooldownMs)
+              )
+            : null,
+        last_error: { code, upstream: response.data?.error, at: timestamp },
+        updated_at: timestamp,
+      },
+    }
+  );
+  forgetEnabledAccounts();
+
+  const next = await resolvePoolAccount(user).catch(() => null);
+
+  return next && !next.id.equals(account.id) ? next : null;
+};
+
+module.exports = {
+  isAccountEligible,
+  toPoolAccount,
+  listPoolAccounts,
+  findPoolAccount,
+  createPoolAccount,
+  updatePoolAccount,
+  removePoolAccount,
+  recordAccountCheck,
+  countAssignedUsers,
+  resolvePoolAccount,
+  failoverPoolAccount,
+};
@@ -0,0 +1,110 @@
+const config = require("../config");
+const { logger } = require("../utils/logger");
+const { callEndpoint } = require("./proxyEndpoints");
+const {
+  listPoolAccounts,
+  toPoolAccount,
+  recordAccountCheck,
+} = require("./accountPool");
+
+const LIMIT_PATHS = {
+  seedbox: "/seedbox/limits",
+  downloader: "/downloader/limits",
+};
+
+let timer = null;
+let running = null;
+
+// Highest used/max ratio found anywhere in a limits payload, whether a
+// counter is shaped { value, max } or { current, max }.
+const readUtilization = (node) => {
+  if (!node || typeof node !== "object") {
+    return 0;
+  }
+
+  const used = Number(node.value ?? node.current);
+  const max = Number(node.max);
+  const own = Number.isFinite(used) && max > 0 ? used / max : 0;
+
+  return Math.max(own, ...Object.values(node).map(readUtilization));
+};
+
+const fetchLimits = async (token, path) => {
+  const { data } = await callEndpoint(path, {
+    token,
+    headers: { "cache-control": "no-cache" },
+  });
+
+  return data?.value ?? null;
+};
+
+// Refreshes one account's limits snapshot and health.
+const checkPoolAccount = async (account) => {
+  const { accessToken } = toPoolAccount(account);
+
+  try {
+    const limits = {};
+
+    for (const [name, path] of Object.entries(LIMIT_PATHS)) {
+      limits[name] = await fetchLimits(accessToken, path);
+    }
+
+    const utilization = Math.min(
+      1,
+      Math.max(...Object.values(limits).map(readUtilization))
+    );
+
+    await recordAccountCheck(account, { utilization, limits });
+  } catch (error) {
+    await recordAccountCheck(account, {
+      error: { code: error.code || null, message: error.message },
+    });
+  }
+};
+
+// Accounts are checked one after another to stay gentle on upstream.
+const runAccountPoolCycle = async () => {
+  const accounts = await listPoolAccounts();
+
+  for (const account of accounts.filter(({ enabled }) => enabled)) {
+    await checkPoolAccount(account);
+  }
+};
+
+const tick = () => {
+  if (running) {
+    return;
+  }
+
+  running = runAccountPoolCycle()
+    .catch((error) => logger.error("Account pool check failed", { error }))
+    .finally(() => {
+      running = null;
+    });
+};
+
+const startAccountPoolMonitor = () => {
+  if (!config.accountPoolMonitorEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(tick, config.accountPoolCheckIntervalMs);
+  timer.unref();
+};
+
+// Resolves once any cycle in progress has finished.
+const stopAccountPoolMonitor = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await running;
+};
+
+module.exports = {
+  checkPoolAccount,
+  runAccountPoolCycle,
+  startAccountPoolMonitor,
+  stopAccountPoolMonitor,
+};
@@ -0,0 +1,265 @@
+const crypto = require("crypto");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { callEndpoint } = require("./proxyEndpoints");
+const { toChineseIsoString } = require("../utils/time");
+
+// Fields pushed to clients; anything else in /seedbox/activity is ignored.
+const TRACKED_FIELDS = [
+  "name",
+  "status",
+  "downloadPercent",
+  "downloadSpeed",
+  "uploadSpeed",
+];
+const HISTORY_SIZE = 100;
+
+// One channel per user: every open stream of that user shares a single
+// upstream poll, and the channel outlives its last subscriber for
+// SEEDBOX_STREAM_IDLE_MS so reconnecting clients can resume.
+const channels = new Map();
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const formatEvent = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(
+    data
+  )}\n\n`;
+
+const pickTracked = (torrent) =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, torrent[field] ?? null])
+  );
+
+const toSnapshot = (torrents) =>
+  new Map(
+    torrents.map((torrent) => [String(torrent.id), pickTracked(torrent)])
+  );
+
+const diffSnapshots = (previous, next) => {
+  const changes = [];
+
+  next.forEach((state, id) => {
+    const before = previous.get(id);
+
+    if (!before) {
+      changes.push({ id, added: true, ...state });
+      return;
+    }
+
+    const changed = TRACKED_FIELDS.filter(
+      (field) => before[field] !== state[field]
+    );
+
+    if (changed.length > 0) {
+      changes.push({
+        id,
+        ...Object.fromEntries(changed.map((field) => [field, state[field]])),
+      });
+    }
+  });
+
+  previous.forEach((_state, id) => {
+    if (!next.has(id)) {
+      changes.push({ id, removed: true });
+    }
+  });
+
+  return changes;
+};
+
+const snapshotEvent = (channel) => ({
+  id: `${channel.streamId}-${channel.sequence}`,
+  event: "snapshot",
+  data: {
+    torrents: Array.from(channel.snapshot, ([id, state]) => ({ id, ...state })),
+  },
+});
+
+const send = (res, event) => {
+  res.write(formatEvent(event));
+};
+
+const broadcast = (channel, event) => {
+  channel.subscribers.forEach((res) => send(res, event));
+};
+
+const publish = (channel, event) => {
+  channel.sequence += 1;
+
+  const entry = { ...event, id: `${channel.streamId}-${channel.sequence}` };
+
+  channel.history.push(entry);
+
+  if (channel.history.length > HISTORY_SIZE) {
+    channel.history.shift();
+  }
+
+  broadcast(channel, entry);
+};
+
+const closeChannel = (channel) => {
+  clearInterval(channel.pollTimer);
+  clearInterval(channel.heartbeatTimer);
+  clearTimeout(channel.idleTimer);
+  channel.subscribers.forEach((res) => res.end());
+  channels.delete(channel.key);
+};
+
+const poll = async (channel) => {
+  if (channel.polling) {
+    return;
+  }
+
+  channel.polling = true;
+
+  try {
+    // Reload the user so deletions and rotated credentials are picked up.
+    const user = await usersCollection().findOne({
+      _id: channel.userId,
+      deleted: false,
+    });
+
+    if (!user) {
+      broadcast(channel, {
+        event: "upstream-error",
+        data: { status: 401, error: "Invalid token" },
+      });
+      closeChannel(channel);
+      return;
+    }
+
+    const { status, data } = await callEndpoint("/seedbox/activity", {
+      user,
+    });
+
+    if (status < 200 || status >= 300 || !Array.isArray(data?.value)) {
+      broadcast(channel, {
+        event: "upstream-error",
+        data: { status, error: data?.error || "upstreamError" },
+      });
+      return;
+    }
+
+    const next = toSnapshot(data.value);
+
+    if (!channel.snapshot) {
+      channel.snapshot = next;
+      channel.pending.forEach((res) => send(res, snapshotEvent(channel)));
+      channel.pending.clear();
+      return;
+    }
+
+    const changes = diffSnapshots(channel.snapshot, next);
+
+    channel.snapshot = next;
+
+    if (changes.length > 0) {
+      publish(channel, { event: "progress", data: { changes } });
+    }
+  } catch (error) {
+    broadcast(channel, {
+      event: "upstream-error",
+      data: {
+        status: error.status || 502,
+        error: error.expose ? error.message : "internalError",
+        code: (error.expose && error.code) || null,
+      },
+    });
+  } finally {
+    channel.polling = false;
+  }
+};
+
+const openChannel = (userId) => {
+  const channel = {
+    key: userId.toString(),
+    userId,
+    streamId: crypto.randomBytes(4).toString("hex"),
+    sequence: 0,
+    subscribers: new Set(),
+    // Subscribers waiting for the first snapshot.
+    pending: new Set(),
+    snapshot: null,
+    history: [],
+    polling: false,
+    idleTimer: null,
+  };
+
+  channel.pollTimer = setInterval(
+    () => poll(channel),
+    config.seedboxStreamPollMs
+  );
+  channel.heartbeatTimer = setInterval(
+    () =>
+      broadcast(channel, {
+        event: "heartbeat",
+        data: { time: toChineseIsoString() },
+      }),
+    config.seedboxStreamHeartbeatMs
+  );
+  channels.set(channel.key, channel);
+  poll(channel);
+
+  return channel;
+};
+
+// Replays what the client missed when its Last-Event-ID is still in the
+// channel history; otherwise the client starts over from a snapshot.
+const catchUp = (channel, res, lastEventId) => {
+  const index = lastEventId
+    ? channel.history.findIndex((entry) => entry.id === lastEventId)
+    : -1;
+  const isLatest =
+    lastEventId === `${channel.streamId}-${channel.sequence}` &&
+    channel.snapshot;
+
+  if (index >= 0) {
+    channel.history.slice(index + 1).forEach((entry) => send(res, entry));
+    return;
+  }
+
+  if (isLatest) {
+    return;
+  }
+
+  if (channel.snapshot) {
+    send(res, snapshotEvent(channel));
+    return;
+  }
+
+  channel.pending.add(res);
+};
+
+const subscribe = (user, res, { lastEventId } = {}) => {
+  const key = user._id.toString();
+  const channel = channels.get(key) || openChannel(user._id);
+
+  clearTimeout(channel.idleTimer);
+  channel.idleTimer = null;
+  channel.subscribers.add(res);
+  catchUp(channel, res, lastEventId);
+
+  return () => {
+    channel.subscribers.delete(res);
+    channel.pending.delete(res);
+
+    if (channel.subscribers.size === 0 && channels.get(key) === channel) {
+      channel.idleTimer = setTimeout(
+        () => closeChannel(channel),
+        config.seedboxStreamIdleMs
+      );
+    }
+  };
+};
+
+// Ends every open stream, e.g. on shutdown; clients reconnect elsewhere
+// with their Last-Event-ID.
+const closeAllChannels = () => {
+  channels.forEach(closeChannel);
+};
+
+module.exports = {
+  subscribe,
+  closeAllChannels,
+};
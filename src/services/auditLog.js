@@ -0,0 +1,40 @@
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+const { redactSecrets } = require("../utils/redact");
+const { logger } = require("../utils/logger");
+
+const auditLogCollection = () =>
+  getDb().collection(config.mongoAuditLogCollection);
+
+// Audit writes must never fail the request they describe.
+const recordAuditEntry = async (entry) => {
+  try {
+    await auditLogCollection().insertOne({
+      ...redactSecrets(entry),
+      created_at: toChineseIsoString(),
+      created_at_ts: new Date(),
+    });
+  } catch (error) {
+    logger.error("Failed to record audit entry", { error });
+  }
+};
+
+const findAuditEntries = async (filter, { limit, offset }) => {
+  const [entries, total] = await Promise.all([
+    auditLogCollection()
+      .find(filter)
+      .sort({ created_at_ts: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray(),
+    auditLogCollection().countDocuments(filter),
+  ]);
+
+  return { entries, total };
+};
+
+module.exports = {
+  recordAuditEntry,
+  findAuditEntries,
+};
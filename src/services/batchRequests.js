@@ -0,0 +1,256 @@
+const { inject } = require("light-my-request");
+const createError = require("http-errors");
+const config = require("../config");
+
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+// Server-Sent Events and file downloads never end on their own, so they
+// would only hold their resources until the sub-request times out.
+const STREAMING_PATH_PATTERN = /^\/(?:seedbox\/stream|dl)(?:\/|$)/;
+const BATCH_PATH_PATTERN = /^\/batch(?:\/|$)/;
+
+// Express matches routes case-insensitively, on the decoded path, so the
+// checks below compare the same form.
+const toRoutePath = (path) => {
+  const pathname = path.split(/[?#]/)[0];
+  let decoded = pathname;
+
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_error) {
+    // Express answers 400 for it.
+  }
+
+  return decoded.toLowerCase().replace(/\/{2,}/g, "/");
+};
+
+const parseConcurrency = (value) => {
+  if (value === undefined) {
+    return config.batchMaxConcurrency;
+  }
+
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw createError(400, "concurrency must be a positive integer");
+  }
+
+  return Math.min(parsed, config.batchMaxConcurrency);
+};
+
+const parseSubRequest = (item, index) => {
+  const field = `requests[${index}]`;
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw createError(400, `${field} must be an object`);
+  }
+
+  const method = String(item.method || "GET").toUpperCase();
+
+  if (!ALLOWED_METHODS.includes(method)) {
+    throw createError(400, `${field}.method must be one of ${ALLOWED_METHODS}`);
+  }
+
+  // Only local absolute paths: no scheme, host or protocol-relative URLs.
+  if (
+    typeof item.path !== "string" ||
+    !item.path.startsWith("/") ||
+    item.path.startsWith("//")
+  ) {
+    throw createError(400, `${field}.path must start with a single /`);
+  }
+
+  const routePath = toRoutePath(item.path);
+
+  if (BATCH_PATH_PATTERN.test(routePath)) {
+    throw createError(400, `${field}.path cannot be a nested batch`);
+  }
+
+  if (STREAMING_PATH_PATTERN.test(routePath)) {
+    throw createError(400, `${field}.path cannot be a streaming endpoint`);
+  }
+
+  if (
+    item.query !== undefined &&
+    (item.query === null ||
+      typeof item.query !== "object" ||
+      Array.isArray(item.query))
+  ) {
+    throw createError(400, `${field}.query must be an object`);
+  }
+
+  return {
+    method,
+    path: item.path,
+    query: item.query || {},
+    body: item.body,
+  };
+};
+
+const parseBatch = (payload = {}) => {
+  if (!Array.isArray(payload.requests) || payload.requests.length === 0) {
+    throw createError(400, "requests must be a non-empty array");
+  }
+
+  if (payload.requests.length > config.batchMaxRequests) {
+    throw createError(
+      400,
+      `A batch cannot contain more than ${config.batchMaxRequests} requests`
+    );
+  }
+
+  return {
+    requests: payload.requests.map(parseSubRequest),
+    concurrency: parseConcurrency(payload.concurrency),
+    stopOnError: payload.stopOnError === true,
+  };
+};
+
+const decodeResponseBody = (buffer, contentType = "") => {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const text = Buffer.from(buffer).toString("utf8");
+
+  if (/[/+]json/i.test(contentType)) {
+    try {
+      return JSON.parse(text);
+    } catch (_error) {
+      return text;
+    }
+  }
+
+  return text;
+};
+
+// light-my-request captures the output by overriding ServerResponse methods
+// on its own prototype. Express re-parents every response onto
+// `app.response` (Object.setPrototypeOf in app.handle), which inherits from
+// ServerResponse.prototype directly, so without these own properties the
+// overrides would be skipped and the injected call would never settle.
+const pinCaptureMethods = (subRes) => {
+  const prototype = Object.getPrototypeOf(subRes);
+
+  Object.getOwnPropertyNames(prototype)
+    .filter(
+      (name) => name !== "constructor" && typeof prototype[name] === "function"
+    )
+    .forEach((name) => {
+      subRes[name] = prototype[name];
+    });
+};
+
+const timeoutResult = () => ({
+  status: 504,
+  body: {
+    success: false,
+    error: "Sub-request timed out",
+    details: null,
+  },
+});
+
+const failedResult = () => ({
+  status: 502,
+  body: {
+    success: false,
+    error: "Sub-request failed",
+    details: null,
+  },
+});
+
+// Sub-requests are injected into this app in-process, so they hit the exact
+// same middleware stack (auth, rate limits, audit, validation, hooks) as a
+// standalone call. They carry the outer request's credentials, its id and
+// the caller's address as their own socket address, so no header a client
+// could forge is involved. A sub-request that times out is destroyed, which
+// emits `close` on it so route handlers release what they hold.
+const dispatchSubRequest = async (req, subRequest) => {
+  let injected = null;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      injected?.subReq.destroy();
+      injected?.subRes.destroy();
+      resolve(timeoutResult());
+    }, config.batchRequestTimeoutMs);
+  });
+  const dispatch = inject(
+    (subReq, subRes) => {
+      injected = { subReq, subRes };
+      pinCaptureMethods(subRes);
+      subReq.id = req.id;
+      req.app(subReq, subRes);
+    },
+    {
+      method: subRequest.method,
+      url: subRequest.path,
+      query: subRequest.query,
+      payload: subRequest.body,
+      headers: { authorization: req.headers.authorization },
+      remoteAddress: req.ip,
+    }
+  ).then(
+    (response) => ({
+      status: response.statusCode,
+      body: decodeResponseBody(
+        response.rawPayload,
+        response.headers["content-type"]
+      ),
+    }),
+    failedResult
+  );
+
+  try {
+    return await Promise.race([dispatch, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const skippedResult = () => ({
+  status: 424,
+  body: {
+    success: false,
+    error: "Skipped after an earlier sub-request failed",
+    code: "skipped",
+    details: null,
+  },
+});
+
+// Runs the sub-requests of a parsed batch and resolves with their results
+// in request order.
+const runBatch = async (req, { requests, concurrency, stopOnError }) => {
+  const results = new Array(requests.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (nextIndex < requests.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+
+      if (stopOnError && failed) {
+        results[index] = skippedResult();
+        continue;
+      }
+
+      results[index] = await dispatchSubRequest(req, requests[index]);
+
+      if (results[index].status >= 400) {
+        failed = true;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, requests.length) }, worker)
+  );
+
+  return results;
+};
+
+module.exports = {
+  parseBatch,
+  dispatchSubRequest,
+  runBatch,
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+const CIPHER_ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const CREDENTIALS_FIELD = "debrid_link";
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const deriveEncryptionKey = () => {
+  if (!config.credentialEncryptionKey) {
+    throw createError(500, "Credential encryption key is not configured");
+  }
+
+  return crypto
+    .createHash("sha256")
+    .update(config.credentialEncryptionKey)
+    .digest();
+};
+
+const encryptSecret = (plainText) => {
+  if (typeof plainText !== "string" || plainText.length === 0) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(
+    CIPHER_ALGORITHM,
+    deriveEncryptionKey(),
+    iv
+  );
+  const data = Buffer.concat([
+    cipher.update(plainText, "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+};
+
+const decryptSecret = (sealed) => {
+  if (!sealed?.iv || !sealed?.tag || !sealed?.data) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      CIPHER_ALGORITHM,
+      deriveEncryptionKey(),
+      Buffer.from(sealed.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(sealed.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+
+    throw createError(
+      500,
+      "Stored Debrid-Link credentials cannot be decrypted"
+    );
+  }
+};
+
+const parseExpiresIn = (value) => {
+  if (value == null || value === "") {
+    return null;
+  }
+
+  const parsed = Number(value);
+
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw createError(400, "expires_in must be a positive number of seconds");
+  }
+
+  return parsed;
+};
+
+const toObjectId = (value) =>
+  value instanceof ObjectId ? value : new ObjectId(value);
+
+// Persist a Debrid-Link token pair on the user document, encrypted at rest.
+const saveUserCredentials = async (
+  userId,
+  { accessToken, refreshToken, expiresIn, scope } = {}
+) => {
+  if (typeof accessToken !== "string" || accessToken.trim().length === 0) {
+    throw createError(400, "access_token is required");
+  }
+
+  const timestamp = toChineseIsoString();
+  const lifetime = parseExpiresIn(expiresIn);
+  const credentials = {
+    access_token: encryptSecret(accessToken.trim()),
+    refresh_token:
+      typeof refreshToken === "string" && refreshToken.trim().length > 0
+        ? encryptSecret(refreshToken.trim())
+        : null,
+    expires_at: lifetime
+      ? toChineseIsoString(new Date(Date.now() + lifetime * 1000))
+      : null,
+    scope: typeof scope === "string" ? scope : null,
+    linked_at: timestamp,
+    updated_at: timestamp,
+  };
+
+  const result = await usersCollection().updateOne(
+    { _id: toObjectId(userId) },
+    { $set: { [CREDENTIALS_FIELD]: credentials, updated_at: timestamp } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw createError(404, "User not found");
+  }
+
+  return credentials;
+};
+
+const clearUserCredentials = async (userId) => {
+  const result = await usersCollection().updateOne(
+    { _id: toObjectId(userId) },
+    {
+      $set: { updated_at: toChineseIsoString() },
+      $unset: { [CREDENTIALS_FIELD]: "" },
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw createError(404, "User not found");
+  }
+};
+
+const hasLinkedCredentials = (user) =>
+  Boolean(user?.[CREDENTIALS_FIELD]?.access_token);
+
+const getUserCredentials = (user) => {
+  if (!hasLinkedCredentials(user)) {
+    return null;
+  }
+
+  const stored = user[CREDENTIALS_FIELD];
+
+  return {
+    accessToken: decryptSecret(stored.access_token),
+    refreshToken: decryptSecret(stored.refresh_token),
+    expiresAt: stored.expires_at,
+    scope: stored.scope,
+  };
+};
+
+// Never expose token material: clients only learn whether a link exists.
+const toCredentialStatus = (user) => {
+  const stored = user?.[CREDENTIALS_FIELD];
+
+  return {
+    linked: hasLinkedCredentials(user),
+    has_refresh_token: Boolean(stored?.refresh_token),
+    expires_at: stored?.expires_at || null,
+    scope: stored?.scope || null,
+    linked_at: stored?.linked_at || null,
+    updated_at: stored?.updated_at || null,
+  };
+};
+
+// Pick the Debrid-Link token used for an authenticated user's upstream call.
+const resolveUpstreamToken = (user, { allowEnvToken = true } = {}) => {
+  const credentials = getUserCredentials(user);
+
+  if (credentials?.accessToken) {
+    return credentials.accessToken;
+  }
+
+  if (allowEnvToken && config.defaultToken) {
+    return config.defaultToken;
+  }
+
+  throw createError(401, "Debrid-Link account is not linked", {
+    code: "account_not_linked",
+  });
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  saveUserCredentials,
+  clearUserCredentials,
+  getUserCredentials,
+  hasLinkedCredentials,
+  toCredentialStatus,
+  resolveUpstreamToken,
+};
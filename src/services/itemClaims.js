@@ -0,0 +1,120 @@
+const createError = require("http-errors");
+const { callEndpoint } = require("./proxyEndpoints");
+const {
+  readItemSize,
+  recordUpstreamItems,
+  findItemOwners,
+} = require("./upstreamItems");
+const { adjustStorageUsed, bytesToStorageUnits } = require("./userStorage");
+
+const PAGE_SIZE = 50;
+const MAX_PAGES = 200;
+
+const chunk = (values, size) =>
+  Array.from({ length: Math.ceil(values.length / size) }, (_, index) =>
+    values.slice(index * size, (index + 1) * size)
+  );
+
+// Called as an admin so the ownership hook does not filter the list.
+const listUpstreamItems = async (admin, kind, query) => {
+  const { data } = await callEndpoint(`/${kind}/list`, {
+    user: admin,
+    query,
+    headers: { "cache-control": "no-cache" },
+  });
+
+  return {
+    items: Array.isArray(data?.value) ? data.value : [],
+    pagination: data?.pagination,
+  };
+};
+
+const fetchItemsById = async (admin, kind, ids) => {
+  const found = [];
+
+  for (const batch of chunk(ids, PAGE_SIZE)) {
+    const { items } = await listUpstreamItems(admin, kind, {
+      ids: batch.join(","),
+    });
+    found.push(...items);
+  }
+
+  const foundIds = new Set(found.map((item) => String(item.id)));
+  const missingIds = ids.filter((id) => !foundIds.has(id));
+
+  if (missingIds.length > 0) {
+    throw createError(404, `Unknown ${kind} item`, {
+      code: "not_found",
+      details: { ids: missingIds },
+    });
+  }
+
+  return found;
+};
+
+const fetchAllItems = async (admin, kind) => {
+  const found = [];
+  let page = 0;
+
+  for (let count = 0; count < MAX_PAGES; count += 1) {
+    const { items, pagination } = await listUpstreamItems(admin, kind, {
+      page,
+      perPage: PAGE_SIZE,
+    });
+    found.push(...items);
+
+    if (!(pagination?.next > page)) {
+      break;
+    }
+
+    page = pagination.next;
+  }
+
+  return found;
+};
+
+// Assigns torrents or links that were added upstream before the ownership
+// ledger existed to a user, and charges their size. `ids` picks specific
+// items; without it every item nobody owns yet is assigned. Items another
+// user already owns are never moved.
+const claimUpstreamItems = async ({ admin, user, kind, ids }) => {
+  const items = ids
+    ? await fetchItemsById(admin, kind, ids)
+    : await fetchAllItems(admin, kind);
+  const owners = await findItemOwners(
+    kind,
+    items.map((item) => item.id)
+  );
+  const foreign = owners.filter((owner) => !owner.user_id.equals(user._id));
+
+  if (ids && foreign.length > 0) {
+    throw createError(409, `Some ${kind} items belong to another user`, {
+      code: "already_owned",
+      details: { ids: foreign.map((owner) => owner.upstream_id) },
+    });
+  }
+
+  const ownedIds = new Set(owners.map((owner) => owner.upstream_id));
+  const claimed = await recordUpstreamItems(
+    user._id,
+    kind,
+    items.filter((item) => !ownedIds.has(String(item.id)))
+  );
+
+  await adjustStorageUsed(
+    user._id,
+    bytesToStorageUnits(
+      claimed.reduce((sum, item) => sum + readItemSize(item), 0)
+    )
+  );
+
+  return {
+    kind,
+    claimed: claimed.map((item) => String(item.id)),
+    skipped: [...ownedIds],
+  };
+};
+
+module.exports = {
+  claimUpstreamItems,
+};
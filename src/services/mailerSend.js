@@ -1,9 +1,14 @@
 const axios = require("axios");
 const createError = require("http-errors");
 const config = require("../config");
+const { logger } = require("../utils/logger");
+const { mailerSendEmails } = require("./metrics");
 
 const MAILERSEND_EMAIL_ENDPOINT = "https://api.mailersend.com/v1/email";
 
+const isMailerSendConfigured = () =>
+  Boolean(config.mailerSendAccessToken && config.mailerSendFromEmail);
+
 const ensureMailerSendConfig = () => {
   if (!config.mailerSendAccessToken) {
     throw createError(500, "MailerSend access token is not configured");
@@ -82,14 +87,19 @@ const sendMailersendEmail = async ({
         timeout: config.defaultTimeout,
       }
     );
+
+    mailerSendEmails.inc({ result: "sent" });
+    logger.info("MailerSend email sent", { subject });
   } catch (error) {
+    mailerSendEmails.inc({ result: "failed" });
     const status = error.response?.status;
     const message =
       error.response?.data?.message || "Failed to dispatch MailerSend email";
 
-    console.error("MailerSend email error", {
+    logger.error("MailerSend email error", {
       status,
       message,
+      subject,
       data: error.response?.data,
     });
 
@@ -139,7 +149,50 @@ const sendEmailVerificationEmail = async ({ toEmail, toName, token }) => {
   });
 };
 
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+const torrentEventSubjects = {
+  added: "Torrent added",
+  downloading: "Torrent started downloading",
+  finished: "Torrent finished",
+  error: "Torrent failed",
+};
+
+const sendTorrentEventEmail = async ({ toEmail, toName, event }) => {
+  const name = event.name || event.upstream_id;
+  const subject = `${torrentEventSubjects[event.type]}: ${name}`;
+
+  const text = `Your torrent "${name}" changed state to ${event.type} at ${event.created_at}.`;
+
+  const html = `<p>Your torrent <strong>${escapeHtml(
+    name
+  )}</strong> changed state to <strong>${event.type}</strong> at ${
+    event.created_at
+  }.</p>`;
+
+  await sendMailersendEmail({
+    toEmail,
+    toName,
+    subject,
+    text,
+    html,
+  });
+};
+
 module.exports = {
+  isMailerSendConfigured,
   sendPasswordResetEmail,
   sendEmailVerificationEmail,
+  sendTorrentEventEmail,
 };
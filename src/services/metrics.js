@@ -0,0 +1,216 @@
+// Minimal Prometheus registry: counters and histograms with labels, rendered
+// in the text exposition format by GET /metrics.
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) {
+    return "";
+  }
+
+  return `{${entries
+    .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+};
+
+// Series are keyed by their label values in declaration order.
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || { labels: picked, value: 0 };
+
+      current.value += value;
+      series.set(key, current);
+    },
+    collect() {
+      return Array.from(
+        series.values(),
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+      );
+    },
+  });
+};
+
+const createHistogram = (
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS
+) => {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index] += 1;
+        }
+      });
+      current.sum += value;
+      current.count += 1;
+      series.set(key, current);
+    },
+    collect() {
+      return Array.from(series.values()).flatMap(
+        ({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (bound, index) =>
+              `${name}_bucket${formatLabels({
+                ...labels,
+                le: bound,
+              })} ${counts[index]}`
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]
+      );
+    },
+  });
+};
+
+// Gauges are read when scraped instead of being updated in place.
+const createGauge = (name, help, read) =>
+  register({
+    name,
+    help,
+    type: "gauge",
+    collect() {
+      return [`${name} ${read()}`];
+    },
+  });
+
+const toStatusClass = (status) =>
+  Number.isInteger(status) ? `${Math.floor(status / 100)}xx` : "none";
+
+const secondsSince = (startedAt) =>
+  Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+const httpRequests = createCounter(
+  "http_requests_total",
+  "HTTP requests handled, by route template and status class.",
+  ["method", "route", "status_class"]
+);
+const httpRequestDuration = createHistogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests, by route template.",
+  ["method", "route"]
+);
+const proxyRequests = createCounter(
+  "debrid_proxy_requests_total",
+  "Proxied calls by Debrid-Link endpoint and upstream status class (cached for cache hits, none when upstream was not reached).",
+  ["endpoint", "upstream_status_class"]
+);
+const proxyUpstreamDuration = createHistogram(
+  "debrid_upstream_request_duration_seconds",
+  "Latency of each upstream attempt, retries included.",
+  ["endpoint", "upstream", "status_class"]
+);
+const proxyFailures = createCounter(
+  "debrid_proxy_failures_total",
+  "Proxied calls that failed without an upstream answer: timeout (504), bad_gateway (502) or circuit_open (503).",
+  ["endpoint", "reason"]
+);
+const mongoCommandDuration = createHistogram(
+  "mongo_command_duration_seconds",
+  "Latency of MongoDB commands.",
+  ["command", "collection", "outcome"]
+);
+const mailerSendEmails = createCounter(
+  "mailersend_emails_total",
+  "Transactional emails handed to MailerSend.",
+  ["result"]
+);
+const userRegistrations = createCounter(
+  "user_registrations_total",
+  "Accounts created through self-registration or by an admin.",
+  ["source"]
+);
+const userLogins = createCounter("user_logins_total", "Login attempts.", [
+  "result",
+]);
+const giftCardRedemptions = createCounter(
+  "gift_card_redemptions_total",
+  "Gift cards redeemed."
+);
+const transactionsCreated = createCounter(
+  "transactions_created_total",
+  "Transactions created."
+);
+
+createGauge("process_uptime_seconds", "Process uptime.", () =>
+  process.uptime()
+);
+createGauge(
+  "process_resident_memory_bytes",
+  "Resident set size.",
+  () => process.memoryUsage().rss
+);
+
+const renderMetrics = () =>
+  `${Array.from(registry.values())
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.collect(),
+    ])
+    .join("\n")}\n`;
+
+module.exports = {
+  toStatusClass,
+  secondsSince,
+  renderMetrics,
+  httpRequests,
+  httpRequestDuration,
+  proxyRequests,
+  proxyUpstreamDuration,
+  proxyFailures,
+  mongoCommandDuration,
+  mailerSendEmails,
+  userRegistrations,
+  userLogins,
+  giftCardRedemptions,
+  transactionsCreated,
+};
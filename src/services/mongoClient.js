@@ -1,8 +1,17 @@
 const { MongoClient } = require("mongodb");
 const config = require("../config");
+const {
+  logger,
+  getRequestId,
+  runWithRequestContext,
+} = require("../utils/logger");
+const { mongoCommandDuration } = require("./metrics");
 
 let client;
 let db;
+// Driver request id -> the request and collection a command was issued for.
+// Completion events fire outside that request's async context.
+const startedCommands = new Map();
 
 const ensureIndexes = async (database) => {
   try {
@@ -13,11 +22,156 @@ const ensureIndexes = async (database) => {
         name: "verify_email_expires_at_ttl",
       }
     );
+
+    await database.collection(config.mongoResponseCacheCollection).createIndex(
+      { expires_at: 1 },
+      {
+        expireAfterSeconds: 0,
+        name: "response_cache_expires_at_ttl",
+      }
+    );
+
+    await database.collection(config.mongoRateLimitsCollection).createIndex(
+      { expires_at: 1 },
+      {
+        expireAfterSeconds: 0,
+        name: "rate_limits_expires_at_ttl",
+      }
+    );
+
+    const auditLog = database.collection(config.mongoAuditLogCollection);
+    await auditLog.createIndex(
+      { created_at_ts: 1 },
+      {
+        expireAfterSeconds: Math.round(
+          config.auditLogRetentionDays * 24 * 60 * 60
+        ),
+        name: "audit_log_created_at_ttl",
+      }
+    );
+    await auditLog.createIndex(
+      { user_id: 1, created_at_ts: -1 },
+      { name: "audit_log_user_created_at" }
+    );
+
+    const upstreamItems = database.collection(
+      config.mongoUpstreamItemsCollection
+    );
+    await upstreamItems.createIndex(
+      { user_id: 1, kind: 1, upstream_id: 1 },
+      { unique: true, name: "upstream_items_owner_unique" }
+    );
+    await upstreamItems.createIndex(
+      { kind: 1, watch_state: 1 },
+      { name: "upstream_items_watch_state" }
+    );
+    await upstreamItems.createIndex(
+      { user_id: 1, kind: 1, hash: 1 },
+      { name: "upstream_items_owner_hash" }
+    );
+    await upstreamItems.createIndex(
+      { user_id: 1, kind: 1, source_url: 1 },
+      { name: "upstream_items_owner_source_url" }
+    );
+
+    const torrentEvents = database.collection(
+      config.mongoTorrentEventsCollection
+    );
+    await torrentEvents.createIndex(
+      { created_at_ts: 1 },
+      {
+        expireAfterSeconds: Math.round(
+          config.torrentEventRetentionDays * 24 * 60 * 60
+        ),
+        name: "torrent_events_created_at_ttl",
+      }
+    );
+    await torrentEvents.createIndex(
+      { user_id: 1, created_at_ts: -1 },
+      { name: "torrent_events_user_created_at" }
+    );
+
+    await database
+      .collection(config.mongoUsersCollection)
+      .createIndex(
+        { "upstream_account.account_id": 1 },
+        { sparse: true, name: "users_upstream_account" }
+      );
+
+    await database
+      .collection(config.mongoDownloadRedemptionsCollection)
+      .createIndex(
+        { user_id: 1, created_at_ts: -1 },
+        { name: "download_redemptions_user_created_at" }
+      );
+
+    await database
+      .collection(config.mongoRssFeedsCollection)
+      .createIndex({ user_id: 1, created_at: 1 }, { name: "rss_feeds_user" });
+
+    const rssMatches = database.collection(config.mongoRssMatchesCollection);
+    await rssMatches.createIndex(
+      { created_at_ts: 1 },
+      {
+        expireAfterSeconds: Math.round(
+          config.rssHistoryRetentionDays * 24 * 60 * 60
+        ),
+        name: "rss_matches_created_at_ttl",
+      }
+    );
+    await rssMatches.createIndex(
+      { user_id: 1, created_at_ts: -1 },
+      { name: "rss_matches_user_created_at" }
+    );
+    await rssMatches.createIndex(
+      { feed_id: 1, episode_key: 1 },
+      {
+        partialFilterExpression: { status: "added" },
+        name: "rss_matches_feed_episode",
+      }
+    );
   } catch (error) {
-    console.error("Failed to ensure Mongo indexes", error);
+    logger.error("Failed to ensure Mongo indexes", { error });
   }
 };
 
+// Logs every command without its body: completions at debug level, failures
+// as warnings, each tagged with the request that issued it.
+const logCommands = (mongoClient) => {
+  const complete = (level, message) => (event) => {
+    const started = startedCommands.get(event.requestId) || {};
+    startedCommands.delete(event.requestId);
+    mongoCommandDuration.observe(
+      {
+        command: event.commandName,
+        collection: started.collection || "",
+        outcome: event.failure ? "failed" : "succeeded",
+      },
+      event.duration / 1000
+    );
+
+    runWithRequestContext({ requestId: started.requestId }, () => {
+      logger[level](message, {
+        command: event.commandName,
+        collection: started.collection || null,
+        duration_ms: event.duration,
+        ...(event.failure ? { error: event.failure } : {}),
+      });
+    });
+  };
+
+  mongoClient.on("commandStarted", (event) => {
+    const collection = event.command?.[event.commandName];
+
+    startedCommands.set(event.requestId, {
+      requestId: getRequestId(),
+      collection: typeof collection === "string" ? collection : null,
+    });
+  });
+  mongoClient.on("commandSucceeded", complete("debug", "Mongo command"));
+  mongoClient.on("commandFailed", complete("warn", "Mongo command failed"));
+};
+
 const initMongo = async () => {
   if (db) {
     return db;
@@ -29,12 +183,14 @@ const initMongo = async () => {
 
   client = new MongoClient(config.mongoUri, {
     serverSelectionTimeoutMS: 5000,
+    monitorCommands: true,
   });
+  logCommands(client);
 
   await client.connect();
   db = client.db(config.mongoDbName);
   await ensureIndexes(db);
-  console.log(`Mongo connected to ${config.mongoDbName}`);
+  logger.info("Mongo connected", { database: config.mongoDbName });
   return db;
 };
 
@@ -46,6 +202,10 @@ const getDb = () => {
   return db;
 };
 
+const pingMongo = async () => {
+  await getDb().command({ ping: 1 });
+};
+
 const closeMongo = async () => {
   if (client) {
     await client.close();
@@ -57,5 +217,6 @@ const closeMongo = async () => {
 module.exports = {
   initMongo,
   getDb,
+  pingMongo,
   closeMongo,
 };
@@ -0,0 +1,151 @@
+const createError = require("http-errors");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+const endpointGroups = require("../endpoints");
+const { createProxyPipeline } = require("./proxyForwarder");
+
+const baseUrlMap = {
+  api: config.apiBaseUrl,
+  oauth: config.oauthBaseUrl,
+};
+
+const endpointsByPath = new Map(
+  endpointGroups.flatMap((group) =>
+    group.endpoints.map((endpoint) => [endpoint.path, endpoint])
+  )
+);
+
+const normalizeCacheOptions = (cache) => {
+  if (!cache) {
+    return null;
+  }
+
+  return {
+    ttl: Number(cache.ttl) > 0 ? Number(cache.ttl) : 60,
+    varyByToken: Boolean(cache.varyByToken),
+  };
+};
+
+const resolveInvalidationTargets = (endpoint) =>
+  (endpoint.invalidates || []).map((path) => {
+    const target = endpointsByPath.get(path);
+
+    if (!target?.cache) {
+      logger.warn("Endpoint invalidates an uncached endpoint", {
+        route: endpoint.path,
+        invalidates: path,
+      });
+    }
+
+    return {
+      path: target?.upstreamPath || path,
+      varyByToken: Boolean(target?.cache?.varyByToken),
+    };
+  });
+
+const buildProxyOptions = (group, baseUrl, endpoint) => ({
+  baseUrl,
+  upstream: group.base,
+  upstreamPath: endpoint.upstreamPath || endpoint.path,
+  allowEnvToken:
+    typeof endpoint.allowEnvToken === "boolean"
+      ? endpoint.allowEnvToken
+      : group.allowEnvToken ?? true,
+  useUserToken:
+    typeof endpoint.useUserToken === "boolean"
+      ? endpoint.useUserToken
+      : group.useUserToken ?? true,
+  route: endpoint.path,
+  summary: endpoint.summary,
+  timeout: endpoint.timeout,
+  hooks: endpoint.hooks,
+  cache: normalizeCacheOptions(endpoint.cache),
+  invalidates: resolveInvalidationTargets(endpoint),
+  schemas: {
+    params: endpoint.params,
+    query: endpoint.query,
+    body: endpoint.body,
+  },
+});
+
+// Every endpoint with a configured upstream, paired with its proxy options.
+const proxyEndpoints = endpointGroups.flatMap((group) => {
+  const baseUrl = baseUrlMap[group.base];
+
+  if (!baseUrl) {
+    logger.warn("No base URL configured for endpoint group", {
+      base: group.base,
+    });
+    return [];
+  }
+
+  return group.endpoints.map((endpoint) => ({
+    endpoint,
+    options: buildProxyOptions(group, baseUrl, endpoint),
+  }));
+});
+
+const pipelines = new Map(
+  proxyEndpoints.map(({ endpoint, options }) => [
+    endpoint.path,
+    createProxyPipeline(options),
+  ])
+);
+
+// Calls a proxy endpoint on behalf of a user through the same pipeline as
+// HTTP clients (hooks, cache, retries, token refresh) and resolves with the
+// buffered { status, headers, data } response. Upstream errors are thrown
+// as normalized http-errors, like the proxy routes answer them. `token`
+// calls upstream with that Debrid-Link token instead of the user's, and
+// `body` is sent as JSON.
+const callEndpoint = async (
+  path,
+  {
+    user,
+    token,
+    method = "GET",
+    params = {},
+    query = {},
+    headers = {},
+    body,
+  } = {}
+) => {
+  const forward = pipelines.get(path);
+
+  if (!forward) {
+    throw createError(404, `Endpoint ${path} is not defined`);
+  }
+
+  const outcome = await forward({
+    method,
+    path,
+    params,
+    query,
+    headers:
+      body === undefined
+        ? headers
+        : { "content-type": "application/json", ...headers },
+    body: {
+      data: body === undefined ? undefined : Buffer.from(JSON.stringify(body)),
+      replayable: true,
+    },
+    user,
+    token,
+    buffer: true,
+  });
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+
+  return {
+    status: outcome.status,
+    headers: outcome.headers,
+    data: outcome.data,
+  };
+};
+
+module.exports = {
+  proxyEndpoints,
+  callEndpoint,
+};
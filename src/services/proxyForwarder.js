@@ -1,6 +1,46 @@
+const zlib = require("zlib");
 const axios = require("axios");
 const createError = require("http-errors");
 const config = require("../config");
+const { getRequestId } = require("../utils/logger");
+const {
+  isExpiredTokenResponse,
+  refreshUserAccessToken,
+  resolveFreshUpstreamToken,
+  canRefreshUpstreamToken,
+} = require("./tokenRefresher");
+const { hasLinkedCredentials } = require("./credentialVault");
+const { resolvePoolAccount, failoverPoolAccount } = require("./accountPool");
+const {
+  resolveCacheScope,
+  buildCacheKey,
+  resolveStoreTtl,
+  shouldBypassCache,
+  computeEtag,
+  readCachedResponse,
+  storeCachedResponse,
+  invalidateCachedPaths,
+} = require("./responseCache");
+const {
+  sleep,
+  getCircuitBreaker,
+  isIdempotentMethod,
+  isRetryableError,
+  isRetryableStatus,
+  isBreakerFailure,
+  computeBackoffDelay,
+  parseRetryAfter,
+} = require("./upstreamResilience");
+const { toUpstreamError } = require("./upstreamErrors");
+const {
+  toStatusClass,
+  secondsSince,
+  proxyRequests,
+  proxyUpstreamDuration,
+  proxyFailures,
+} = require("./metrics");
+const { validateSchema } = require("../utils/schemaValidator");
+const { resolveHooks } = require("../hooks");
 
 const hopByHopHeaders = new Set([
   "connection",
@@ -15,6 +55,14 @@ const hopByHopHeaders = new Set([
 ]);
 
 const methodsWithoutBody = new Set(["get", "head"]);
+const bufferedBodyHeaders = new Set(["content-length", "content-encoding"]);
+
+const bodyDecoders = {
+  gzip: zlib.gunzipSync,
+  "x-gzip": zlib.gunzipSync,
+  deflate: zlib.inflateSync,
+  br: zlib.brotliDecompressSync,
+};
 
 const buildUpstreamPath = (template, params = {}) => {
   if (typeof template === "function") {
@@ -42,7 +90,10 @@ const normalizeToken = (value) => {
   return value.toLowerCase().startsWith("bearer ") ? value : `Bearer ${value}`;
 };
 
-const buildForwardHeaders = (incoming = {}, allowEnvToken) => {
+// The incoming Authorization header carries our own JWT, so it is never
+// relayed; the upstream token is resolved from the authenticated user. The
+// request id is forwarded so upstream support can correlate calls.
+const buildForwardHeaders = (incoming = {}, token) => {
   const headers = {};
 
   Object.entries(incoming).forEach(([key, headerValue]) => {
@@ -52,21 +103,31 @@ const buildForwardHeaders = (incoming = {}, allowEnvToken) => {
 
     const lowerKey = key.toLowerCase();
 
-    if (hopByHopHeaders.has(lowerKey)) {
+    if (
+      hopByHopHeaders.has(lowerKey) ||
+      lowerKey === "authorization" ||
+      lowerKey === "x-request-id"
+    ) {
       return;
     }
 
     headers[key] = headerValue;
   });
 
-  if (allowEnvToken && config.defaultToken && !headers.authorization) {
-    headers.authorization = normalizeToken(config.defaultToken);
+  if (token) {
+    headers.authorization = normalizeToken(token);
+  }
+
+  const requestId = getRequestId();
+
+  if (requestId) {
+    headers["x-request-id"] = requestId;
   }
 
   return headers;
 };
 
-const pickResponseHeaders = (source = {}) => {
+const pickResponseHeaders = (source = {}, { decoded = false } = {}) => {
   const headers = {};
 
   Object.entries(source).forEach(([key, headerValue]) => {
@@ -74,7 +135,15 @@ const pickResponseHeaders = (source = {}) => {
       return;
     }
 
-    if (hopByHopHeaders.has(key.toLowerCase())) {
+    const lowerKey = key.toLowerCase();
+
+    if (hopByHopHeaders.has(lowerKey)) {
+      return;
+    }
+
+    // Once a body has been buffered and decoded, its length and encoding
+    // no longer match what upstream announced.
+    if (decoded && bufferedBodyHeaders.has(lowerKey)) {
       return;
     }
 
@@ -87,76 +156,648 @@ const pickResponseHeaders = (source = {}) => {
 const shouldSendBody = (method = "get") =>
   !methodsWithoutBody.has(method.toLowerCase());
 
-const createProxyHandler = ({
+const hasRequestBody = (req) =>
+  shouldSendBody(req.method) &&
+  (Number(req.headers["content-length"]) > 0 ||
+    Boolean(req.headers["transfer-encoding"]));
+
+const payloadTooLarge = () =>
+  createError(413, "Request body is too large", {
+    code: "payload_too_large",
+  });
+
+// Stops reading (and leaves the rest of the body unread) as soon as more
+// than `limit` bytes arrive, whatever the declared length.
+const readStream = (stream, { limit = Infinity } = {}) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    const onData = (chunk) => {
+      received += chunk.length;
+
+      if (received > limit) {
+        stream.off("data", onData);
+        stream.pause();
+        reject(payloadTooLarge());
+        return;
+      }
+
+      chunks.push(chunk);
+    };
+
+    stream.on("data", onData);
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+
+// Small bodies are buffered verbatim so the request can be replayed after a
+// token refresh; anything larger (or of unknown length) is streamed through.
+// Routes with hooks or a body schema always buffer so the payload can be
+// inspected.
+const prepareRequestBody = async (req, { inspect = false } = {}) => {
+  if (!hasRequestBody(req)) {
+    return { data: undefined, replayable: true };
+  }
+
+  const declaredLength = Number(req.headers["content-length"]);
+
+  if (inspect) {
+    if (declaredLength > config.proxyHookBodyLimit) {
+      throw payloadTooLarge();
+    }
+
+    return {
+      data: await readStream(req, { limit: config.proxyHookBodyLimit }),
+      replayable: true,
+    };
+  }
+
+  if (
+    Number.isFinite(declaredLength) &&
+    declaredLength <= config.proxyReplayBodyLimit
+  ) {
+    return { data: await readStream(req), replayable: true };
+  }
+
+  return { data: req, replayable: false };
+};
+
+// Multipart uploads are forwarded as-is; only JSON and form bodies are
+// checked against the endpoint's body schema.
+const validateRequest = (
+  schemas,
+  { params, query, body, contentType = "" }
+) => {
+  const problems = [
+    ...validateSchema(params, schemas.params, "params", { coerce: true }),
+    ...validateSchema(query, schemas.query, "query", { coerce: true }),
+  ];
+
+  if (schemas.body && !/multipart\//i.test(contentType)) {
+    problems.push(
+      ...validateSchema(body || {}, schemas.body, "body", {
+        coerce: !/[/+]json/i.test(contentType),
+      })
+    );
+  }
+
+  if (problems.length > 0) {
+    throw createError(400, "Invalid request parameters", {
+      code: "invalid_request",
+      details: problems,
+    });
+  }
+};
+
+const parseRequestBody = (buffer, contentType = "") => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  if (/application\/x-www-form-urlencoded/i.test(contentType)) {
+    return Object.fromEntries(new URLSearchParams(buffer.toString("utf8")));
+  }
+
+  const parsed = parseBody(buffer, contentType);
+  return parsed && typeof parsed === "object" && !Buffer.isBuffer(parsed)
+    ? parsed
+    : null;
+};
+
+const decodeBody = (buffer, contentEncoding) => {
+  const decoder = bodyDecoders[(contentEncoding || "").toLowerCase()];
+  return decoder ? decoder(buffer) : buffer;
+};
+
+const parseBody = (buffer, contentType = "") => {
+  if (buffer.length === 0) {
+    return undefined;
+  }
+
+  if (/[/+]json/i.test(contentType)) {
+    try {
+      return JSON.parse(buffer.toString("utf8"));
+    } catch (_error) {
+      return buffer.toString("utf8");
+    }
+  }
+
+  if (/^text\//i.test(contentType)) {
+    return buffer.toString("utf8");
+  }
+
+  return buffer;
+};
+
+const bufferUpstreamResponse = async (response) => {
+  const body = decodeBody(
+    await readStream(response.data),
+    response.headers["content-encoding"]
+  );
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: parseBody(body, response.headers["content-type"]),
+  };
+};
+
+const sendBufferedResponse = (res, buffered) => {
+  res.status(buffered.status);
+  Object.entries(
+    pickResponseHeaders(buffered.headers, { decoded: true })
+  ).forEach(([key, headerValue]) => {
+    res.setHeader(key, headerValue);
+  });
+
+  if (typeof buffered.data === "undefined") {
+    res.end();
+    return;
+  }
+
+  res.send(buffered.data);
+};
+
+const pipeUpstreamResponse = (res, response) => {
+  res.status(response.status);
+  Object.entries(pickResponseHeaders(response.headers)).forEach(
+    ([key, headerValue]) => {
+      res.setHeader(key, headerValue);
+    }
+  );
+
+  res.on("close", () => response.data.destroy());
+  response.data.on("error", () => res.destroy());
+  response.data.pipe(res);
+};
+
+const isSuccessStatus = (status) => status >= 200 && status < 300;
+
+const isErrorStatus = (status) => status >= 400;
+
+// Hooks get their own copy so cached entries are never mutated in place.
+const runAfterForwardHooks = async (hooks, ctx, response) => {
+  const afterHooks = hooks.filter((hook) => hook.afterForward);
+
+  if (afterHooks.length === 0) {
+    return response;
+  }
+
+  ctx.response = { ...response, data: structuredClone(response.data) };
+
+  for (const hook of afterHooks) {
+    await hook.afterForward(ctx);
+  }
+
+  return ctx.response;
+};
+
+const sendCachedResponse = (req, res, entry, cacheStatus) => {
+  // Entries stored before upstream sent a content type may hold null.
+  Object.entries(entry.headers || {}).forEach(([key, headerValue]) => {
+    if (headerValue != null) {
+      res.setHeader(key, headerValue);
+    }
+  });
+  res.setHeader("ETag", entry.etag);
+  res.setHeader("X-Cache", cacheStatus);
+  res.setHeader(
+    "Age",
+    String(Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000)))
+  );
+
+  if (req.headers["if-none-match"] === entry.etag) {
+    res.status(304).end();
+    return;
+  }
+
+  res.status(entry.status).send(entry.data);
+};
+
+const createUnavailableError = (breaker) => {
+  const retryAfterSeconds = Math.ceil(breaker.retryAfterMs() / 1000);
+
+  return createError(503, "Debrid-Link is temporarily unavailable", {
+    expose: true,
+    code: "upstream_unavailable",
+    headers: { "Retry-After": String(Math.max(1, retryAfterSeconds)) },
+  });
+};
+
+// Sends one logical upstream call. Transient failures are retried with
+// backoff when the request is safe to repeat, and every outcome feeds the
+// circuit breaker of the upstream base.
+const sendUpstreamRequest = async (
+  axiosConfig,
+  { breaker, retryable, metricLabels }
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    if (!breaker.canRequest()) {
+      throw createUnavailableError(breaker);
+    }
+
+    const canRetry = retryable && attempt < config.upstreamRetryMax;
+    const startedAt = process.hrtime.bigint();
+    let response;
+
+    try {
+      response = await axios(axiosConfig);
+    } catch (error) {
+      proxyUpstreamDuration.observe(
+        { ...metricLabels, status_class: "none" },
+        secondsSince(startedAt)
+      );
+      breaker.recordFailure();
+
+      if (canRetry && isRetryableError(error)) {
+        await sleep(computeBackoffDelay(attempt));
+        continue;
+      }
+
+      throw error;
+    }
+
+    proxyUpstreamDuration.observe(
+      { ...metricLabels, status_class: toStatusClass(response.status) },
+      secondsSince(startedAt)
+    );
+
+    if (isBreakerFailure(response.status)) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
+    }
+
+    if (!canRetry || !isRetryableStatus(response.status)) {
+      return response;
+    }
+
+    const delay =
+      response.status === 429
+        ? parseRetryAfter(response.headers["retry-after"])
+        : computeBackoffDelay(attempt);
+
+    // Without a usable Retry-After, or when it asks us to wait too long,
+    // hand the 429 back to the client instead of holding the connection.
+    if (delay === null || delay > config.upstreamRetryMaxDelayMs) {
+      return response;
+    }
+
+    response.data.destroy();
+    await sleep(delay);
+  }
+};
+
+// Local failures that mean upstream never answered, keyed by error code.
+const FAILURE_REASONS = {
+  upstream_timeout: "timeout",
+  upstream_error: "bad_gateway",
+  upstream_unavailable: "circuit_open",
+};
+
+const toRequestError = (error, summary) => {
+  if (error.status) {
+    return error;
+  }
+
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return createError(504, "Upstream request timed out", {
+      expose: true,
+      code: "upstream_timeout",
+    });
+  }
+
+  const message = summary
+    ? `${summary} failed: ${error.message}`
+    : error.message;
+  return createError(502, message, { expose: true, code: "upstream_error" });
+};
+
+// Runs one proxied call (validation, token, hooks, cache, retries, refresh)
+// without touching an Express response, so routes can also call endpoints
+// programmatically. The outcome is either a cache entry (`cacheStatus`), a
+// buffered response or, when nothing needs to inspect it, the raw `stream`.
+const createProxyPipeline = ({
   baseUrl,
+  upstream = "api",
   upstreamPath,
   allowEnvToken = true,
+  useUserToken = true,
   summary,
   timeout,
+  route,
+  cache,
+  invalidates = [],
+  hooks: hookNames = [],
+  schemas = {},
 } = {}) => {
   if (!baseUrl) {
     throw new Error("baseUrl is required to create a proxy handler");
   }
 
-  return async function proxyHandler(req, res, next) {
-    try {
-      const resolvedPath = buildUpstreamPath(
-        upstreamPath || req.path,
-        req.params
+  const breaker = getCircuitBreaker(upstream);
+  const hooks = resolveHooks(hookNames);
+  const metricEndpoint = summary || route || baseUrl;
+  const hasAfterHooks = hooks.some((hook) => hook.afterForward);
+
+  const forward = async ({
+    method,
+    path,
+    params = {},
+    query = {},
+    headers = {},
+    user,
+    token: upstreamToken,
+    body = { data: undefined, replayable: true },
+    buffer = false,
+  }) => {
+    const contentType = headers["content-type"];
+    const requestBody = parseRequestBody(body.data, contentType);
+
+    validateRequest(schemas, {
+      params,
+      query,
+      body: requestBody,
+      contentType,
+    });
+
+    const resolvedPath = buildUpstreamPath(upstreamPath || path, params);
+    const targetUrl = `${baseUrl}${resolvedPath}`;
+    const resolveCacheKey = (scopeToken) =>
+      cache && method === "GET"
+        ? buildCacheKey(
+            resolveCacheScope(cache.varyByToken, scopeToken),
+            resolvedPath,
+            query
+          )
+        : null;
+    let poolAccount = null;
+    let token = upstreamToken || null;
+
+    // Users without a linked account borrow one from the shared pool.
+    if (!token && useUserToken) {
+      poolAccount =
+        allowEnvToken && !hasLinkedCredentials(user)
+          ? await resolvePoolAccount(user)
+          : null;
+      token = poolAccount
+        ? poolAccount.accessToken
+        : await resolveFreshUpstreamToken(user, { allowEnvToken });
+    }
+
+    let cacheKey = resolveCacheKey(token);
+    const ctx = {
+      route,
+      user,
+      params,
+      query,
+      contentType,
+      rawBody: body.data,
+      requestBody,
+      upstreamAccountId: poolAccount ? poolAccount.id : null,
+      response: null,
+      audit: {},
+    };
+
+    for (const [index, hook] of hooks.entries()) {
+      if (hook.beforeForward) {
+        await hook.beforeForward(ctx);
+      }
+
+      if (ctx.response) {
+        const view = await runAfterForwardHooks(
+          hooks.slice(index + 1),
+          ctx,
+          ctx.response
+        );
+
+        return {
+          ...view,
+          answeredLocally: true,
+          audit: { upstream_path: resolvedPath, ...ctx.audit },
+        };
+      }
+    }
+
+    if (cacheKey && !shouldBypassCache(headers["cache-control"])) {
+      const cached = await readCachedResponse(cacheKey);
+
+      if (cached) {
+        const view = await runAfterForwardHooks(hooks, ctx, cached);
+
+        return {
+          ...cached,
+          data: view.data,
+          etag: hasAfterHooks ? computeEtag(view.data) : cached.etag,
+          cacheStatus: "HIT",
+          audit: { upstream_path: resolvedPath, cache: "HIT" },
+        };
+      }
+    }
+
+    const axiosConfig = {
+      method,
+      url: targetUrl,
+      headers: buildForwardHeaders(headers, token),
+      params: ctx.query,
+      data: body.data,
+      timeout: timeout || config.defaultTimeout,
+      responseType: "stream",
+      decompress: false,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      transitional: { clarifyTimeoutError: true },
+    };
+    const sendOptions = {
+      breaker,
+      retryable: body.replayable && isIdempotentMethod(method),
+      metricLabels: { endpoint: metricEndpoint, upstream },
+    };
+
+    let response = await sendUpstreamRequest(axiosConfig, sendOptions);
+    let buffered = null;
+
+    // Replay once with a refreshed token when the linked one has expired.
+    if (
+      useUserToken &&
+      response.status === 401 &&
+      canRefreshUpstreamToken(user)
+    ) {
+      buffered = await bufferUpstreamResponse(response);
+
+      if (isExpiredTokenResponse(buffered)) {
+        const refreshedToken = await refreshUserAccessToken(user, token);
+
+        if (body.replayable) {
+          axiosConfig.headers = buildForwardHeaders(headers, refreshedToken);
+          response = await sendUpstreamRequest(axiosConfig, sendOptions);
+          buffered = null;
+        }
+      }
+    }
+
+    // Replay once on another pool account when the user's one is exhausted
+    // or revoked. The user moves either way, but a call on items that live
+    // on the failed account is not replayed: the next account lacks them.
+    if (poolAccount && isErrorStatus(response.status)) {
+      buffered = buffered || (await bufferUpstreamResponse(response));
+
+      const nextAccount = await failoverPoolAccount(
+        user,
+        poolAccount,
+        buffered
       );
-      const targetUrl = `${baseUrl}${resolvedPath}`;
-      const headers = buildForwardHeaders(req.headers, allowEnvToken);
-      const axiosConfig = {
-        method: req.method,
-        url: targetUrl,
-        headers,
-        params: req.query,
-        timeout: timeout || config.defaultTimeout,
-        validateStatus: () => true,
-        transitional: { clarifyTimeoutError: true },
+      const targetsFailedAccount = (ctx.itemAccountIds || []).some(
+        (accountId) => accountId && poolAccount.id.equals(accountId)
+      );
+
+      if (nextAccount && body.replayable && !targetsFailedAccount) {
+        poolAccount = nextAccount;
+        token = nextAccount.accessToken;
+        cacheKey = resolveCacheKey(token);
+        axiosConfig.headers = buildForwardHeaders(headers, token);
+        response = await sendUpstreamRequest(axiosConfig, sendOptions);
+        buffered = null;
+      }
+    }
+
+    ctx.upstreamAccountId = poolAccount ? poolAccount.id : null;
+
+    const audit = {
+      upstream_path: resolvedPath,
+      upstream_status: response.status,
+      ...(poolAccount
+        ? { upstream_account_id: poolAccount.id.toString() }
+        : {}),
+    };
+
+    if (isSuccessStatus(response.status) && invalidates.length > 0) {
+      await Promise.all(
+        invalidates.map((target) =>
+          invalidateCachedPaths(resolveCacheScope(target.varyByToken, token), [
+            target.path,
+          ])
+        )
+      );
+    }
+
+    if (!buffered && cacheKey && isSuccessStatus(response.status)) {
+      buffered = await bufferUpstreamResponse(response);
+
+      const entry = {
+        status: buffered.status,
+        headers: buffered.headers["content-type"]
+          ? { "content-type": buffered.headers["content-type"] }
+          : {},
+        data: buffered.data,
+        etag: buffered.headers.etag || computeEtag(buffered.data),
+        storedAt: Date.now(),
       };
+      const ttl = resolveStoreTtl(cache, buffered.headers["cache-control"]);
 
-      if (
-        shouldSendBody(req.method) &&
-        req.body &&
-        Object.keys(req.body).length > 0
-      ) {
-        axiosConfig.data = req.body;
+      if (ttl > 0) {
+        await storeCachedResponse(cacheKey, entry, ttl);
       }
 
-      const response = await axios(axiosConfig);
-      const responseHeaders = pickResponseHeaders(response.headers);
+      const view = await runAfterForwardHooks(hooks, ctx, entry);
+
+      return {
+        ...entry,
+        data: view.data,
+        etag: hasAfterHooks ? computeEtag(view.data) : entry.etag,
+        cacheStatus: "MISS",
+        audit,
+      };
+    }
 
-      res.status(response.status);
-      Object.entries(responseHeaders).forEach(([key, headerValue]) => {
-        res.setHeader(key, headerValue);
+    if (
+      !buffered &&
+      (hasAfterHooks || buffer || isErrorStatus(response.status))
+    ) {
+      buffered = await bufferUpstreamResponse(response);
+    }
+
+    if (buffered) {
+      const view = await runAfterForwardHooks(hooks, ctx, buffered);
+
+      // Upstream failures are answered in our own error envelope.
+      return isErrorStatus(view.status)
+        ? { error: toUpstreamError(view), audit }
+        : { ...view, audit };
+    }
+
+    return { stream: response, audit };
+  };
+
+  return async (call) => {
+    try {
+      return await forward(call);
+    } catch (error) {
+      const requestError = toRequestError(error, summary);
+      const reason = FAILURE_REASONS[requestError.code];
+
+      if (reason) {
+        proxyFailures.inc({ endpoint: metricEndpoint, reason });
+      }
+
+      throw requestError;
+    }
+  };
+};
+
+const createProxyHandler = (options = {}) => {
+  const forward = createProxyPipeline(options);
+  const inspect = Boolean(options.hooks?.length || options.schemas?.body);
+  const endpoint = options.summary || options.route || options.baseUrl;
+  const countRequest = (upstreamStatusClass) =>
+    proxyRequests.inc({ endpoint, upstream_status_class: upstreamStatusClass });
+
+  return async function proxyHandler(req, res, next) {
+    try {
+      const outcome = await forward({
+        method: req.method,
+        path: req.path,
+        params: req.params,
+        query: req.query,
+        headers: req.headers,
+        user: req.authUser,
+        body: await prepareRequestBody(req, { inspect }),
       });
 
-      if (typeof response.data === "undefined") {
-        res.end();
+      res.locals.audit = outcome.audit;
+      countRequest(
+        outcome.cacheStatus === "HIT" || outcome.answeredLocally
+          ? "cached"
+          : toStatusClass(outcome.audit.upstream_status)
+      );
+
+      if (outcome.error) {
+        next(outcome.error);
         return;
       }
 
-      res.send(response.data);
-    } catch (error) {
-      if (error.response) {
-        res.status(error.response.status).send(error.response.data);
+      if (outcome.cacheStatus) {
+        sendCachedResponse(req, res, outcome, outcome.cacheStatus);
         return;
       }
 
-      if (error.code === "ECONNABORTED") {
-        next(createError(504, "Upstream request timed out"));
+      if (outcome.stream) {
+        pipeUpstreamResponse(res, outcome.stream);
         return;
       }
 
-      const message = summary
-        ? `${summary} failed: ${error.message}`
-        : error.message;
-      next(createError(502, message));
+      sendBufferedResponse(res, outcome);
+    } catch (error) {
+      countRequest("none");
+      next(error);
     }
   };
 };
 
 module.exports = {
+  pipeUpstreamResponse,
+  createProxyPipeline,
   createProxyHandler,
 };
@@ -0,0 +1,120 @@
+const axios = require("axios");
+const config = require("../config");
+const { pingMongo } = require("./mongoClient");
+const { isMailerSendConfigured } = require("./mailerSend");
+const { getCircuitBreakerStates } = require("./upstreamResilience");
+const { logger } = require("../utils/logger");
+
+let draining = false;
+let componentsCache = null;
+
+const markDraining = () => {
+  draining = true;
+};
+
+const isDraining = () => draining;
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(
+        () => reject(new Error(`Timed out after ${ms}ms`)),
+        ms
+      ).unref();
+    }),
+  ]);
+
+// The probe is public, so failure details only go to the logs.
+const timed = async (component, check) => {
+  const startedAt = Date.now();
+
+  try {
+    const result = await withTimeout(check(), config.readinessTimeoutMs);
+    return { status: "ok", ...result, latency_ms: Date.now() - startedAt };
+  } catch (error) {
+    logger.warn("Readiness check failed", { component, error });
+    return { status: "down", latency_ms: Date.now() - startedAt };
+  }
+};
+
+const checkMongo = () => timed("mongo", () => pingMongo());
+
+// Any answer below 500 proves the base is reachable; the bare base URL is
+// not an API route, so 404s are expected.
+const checkUpstream = async (name, baseUrl) => {
+  const result = await timed(name, async () => {
+    const { status } = await axios.get(baseUrl, {
+      timeout: config.readinessTimeoutMs,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    if (status >= 500) {
+      throw new Error(`Answered ${status}`);
+    }
+
+    return { http_status: status };
+  });
+
+  return { ...result, circuit: getCircuitBreakerStates()[name] || null };
+};
+
+const checkMailerSend = () => ({
+  status: isMailerSendConfigured() ? "ok" : "not_configured",
+});
+
+const checkComponents = async () => {
+  const [mongo, api, oauth] = await Promise.all([
+    checkMongo(),
+    checkUpstream("api", config.apiBaseUrl),
+    checkUpstream("oauth", config.oauthBaseUrl),
+  ]);
+
+  return { mongo, api, oauth, mailersend: checkMailerSend() };
+};
+
+// Each check pings Mongo and Debrid-Link, so concurrent probes share one
+// run and its result is reused for READINESS_CACHE_MS after it finishes.
+const loadComponents = () => {
+  if (!componentsCache || componentsCache.expiresAt <= Date.now()) {
+    const entry = { expiresAt: Infinity };
+
+    entry.components = checkComponents().finally(() => {
+      entry.expiresAt = Date.now() + config.readinessCacheMs;
+    });
+    componentsCache = entry;
+  }
+
+  return componentsCache.components;
+};
+
+// Mongo is required to serve anything, so it alone decides readiness.
+// Debrid-Link or MailerSend trouble only degrades the instance: pulling
+// every replica out of rotation would not bring them back.
+const checkReadiness = async () => {
+  const components = await loadComponents();
+  const { mongo } = components;
+  const degraded = Object.values(components).some(
+    ({ status }) => status !== "ok"
+  );
+  let status = degraded ? "degraded" : "ready";
+
+  if (draining) {
+    status = "draining";
+  } else if (mongo.status !== "ok") {
+    status = "not_ready";
+  }
+
+  return {
+    ready: status === "ready" || status === "degraded",
+    status,
+    components,
+  };
+};
+
+module.exports = {
+  markDraining,
+  isDraining,
+  checkReadiness,
+};
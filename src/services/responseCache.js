@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+
+const SHARED_SCOPE = "shared";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const isFresh = (entry) => Boolean(entry) && entry.expiresAt > Date.now();
+
+// Map keeps insertion order, so re-inserting on read gives us LRU eviction.
+const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (!isFresh(entry)) {
+        entries.delete(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async deleteByPrefix(prefix) {
+      Array.from(entries.keys()).forEach((key) => {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      });
+    },
+  };
+};
+
+const createMongoStore = () => {
+  const collection = () =>
+    getDb().collection(config.mongoResponseCacheCollection);
+
+  return {
+    async get(key) {
+      const doc = await collection().findOne({
+        _id: key,
+        expires_at: { $gt: new Date() },
+      });
+
+      if (!doc) {
+        return null;
+      }
+
+      return {
+        status: doc.status,
+        headers: doc.headers,
+        data: doc.data,
+        etag: doc.etag,
+        storedAt: doc.stored_at.getTime(),
+        expiresAt: doc.expires_at.getTime(),
+      };
+    },
+    async set(key, entry) {
+      await collection().updateOne(
+        { _id: key },
+        {
+          $set: {
+            status: entry.status,
+            headers: entry.headers,
+            data: entry.data,
+            etag: entry.etag,
+            stored_at: new Date(entry.storedAt),
+            expires_at: new Date(entry.expiresAt),
+          },
+        },
+        { upsert: true }
+      );
+    },
+    async deleteByPrefix(prefix) {
+      await collection().deleteMany({
+        _id: { $regex: `^${escapeRegex(prefix)}` },
+      });
+    },
+  };
+};
+
+let store;
+
+const getCacheStore = () => {
+  if (!store) {
+    store =
+      config.responseCacheStore === "mongo"
+        ? createMongoStore()
+        : createMemoryStore({ maxEntries: config.responseCacheMaxEntries });
+  }
+
+  return store;
+};
+
+const resolveCacheScope = (varyByToken, token) => {
+  if (!varyByToken) {
+    return SHARED_SCOPE;
+  }
+
+  return crypto
+    .createHash("sha256")
+    .update(token || "anonymous")
+    .digest("hex")
+    .slice(0, 16);
+};
+
+const serializeQuery = (query = {}) =>
+  Object.keys(query)
+    .sort()
+    .map(
+      (key) => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`
+    )
+    .join("&");
+
+const buildCacheKey = (scope, path, query) =>
+  `${scope}|${path}?${serializeQuery(query)}`;
+
+const parseCacheControl = (value) => {
+  const directives = {};
+
+  if (typeof value !== "string") {
+    return directives;
+  }
+
+  value.split(",").forEach((part) => {
+    const [name, rawValue] = part.trim().toLowerCase().split("=");
+
+    if (name) {
+      directives[name] = rawValue === undefined ? true : rawValue;
+    }
+  });
+
+  return directives;
+};
+
+// Returns the TTL in seconds to store a response for, or 0 to skip storing.
+const resolveStoreTtl = (cacheOptions, upstreamCacheControl) => {
+  const directives = parseCacheControl(upstreamCacheControl);
+
+  if (directives["no-store"] || directives["no-cache"]) {
+    return 0;
+  }
+
+  if (directives.private && !cacheOptions.varyByToken) {
+    return 0;
+  }
+
+  const upstreamMaxAge = Number(
+    directives["s-maxage"] ?? directives["max-age"]
+  );
+
+  if (Number.isFinite(upstreamMaxAge)) {
+    return Math.min(cacheOptions.ttl, upstreamMaxAge);
+  }
+
+  return cacheOptions.ttl;
+};
+
+const shouldBypassCache = (requestCacheControl) => {
+  const directives = parseCacheControl(requestCacheControl);
+  return Boolean(directives["no-cache"] || directives["max-age"] === "0");
+};
+
+const computeEtag = (data) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(typeof data === "string" ? data : JSON.stringify(data))
+    .digest("base64url")}"`;
+
+const readCachedResponse = (key) => getCacheStore().get(key);
+
+const storeCachedResponse = (key, { status, headers, data, etag }, ttl) => {
+  const storedAt = Date.now();
+
+  return getCacheStore().set(key, {
+    status,
+    headers,
+    data,
+    etag,
+    storedAt,
+    expiresAt: storedAt + ttl * 1000,
+  });
+};
+
+const invalidateCachedPaths = (scope, paths = []) =>
+  Promise.all(
+    paths.map((path) => getCacheStore().deleteByPrefix(`${scope}|${path}?`))
+  );
+
+module.exports = {
+  resolveCacheScope,
+  buildCacheKey,
+  resolveStoreTtl,
+  shouldBypassCache,
+  computeEtag,
+  readCachedResponse,
+  storeCachedResponse,
+  invalidateCachedPaths,
+};
@@ -0,0 +1,190 @@
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+// Guids already processed per feed; older ones fall off the end, which is
+// fine because indexers only keep a recent window in their feeds.
+const SEEN_GUIDS_LIMIT = 1000;
+
+const MATCH_STATUSES = ["added", "duplicate", "skipped", "failed"];
+
+const rssFeedsCollection = () =>
+  getDb().collection(config.mongoRssFeedsCollection);
+const rssMatchesCollection = () =>
+  getDb().collection(config.mongoRssMatchesCollection);
+
+// Seen guids stay on the server.
+const toFeedResponse = (feed) => ({
+  id: feed._id.toString(),
+  name: feed.name,
+  url: feed.url,
+  enabled: feed.enabled,
+  add_existing: feed.add_existing,
+  rules: feed.rules,
+  last_checked_at: feed.last_checked_at,
+  last_added_at: feed.last_added_at,
+  last_error: feed.last_error,
+  created_at: feed.created_at,
+  updated_at: feed.updated_at,
+});
+
+const toMatchResponse = (doc) => ({
+  id: doc._id.toString(),
+  feed_id: doc.feed_id.toString(),
+  rule: doc.rule,
+  status: doc.status,
+  title: doc.title,
+  url: doc.url,
+  size_bytes: doc.size_bytes,
+  episode_key: doc.episode_key,
+  torrent_id: doc.upstream_id,
+  error: doc.error,
+  created_at: doc.created_at,
+});
+
+const listUserFeeds = (userId) =>
+  rssFeedsCollection()
+    .find({ user_id: userId })
+    .sort({ created_at: 1 })
+    .toArray();
+
+const findUserFeed = (userId, feedId) =>
+  rssFeedsCollection().findOne({ _id: feedId, user_id: userId });
+
+const findEnabledFeeds = () =>
+  rssFeedsCollection().find({ enabled: true }).toArray();
+
+const countUserFeeds = (userId) =>
+  rssFeedsCollection().countDocuments({ user_id: userId });
+
+const createFeed = async (userId, fields) => {
+  const now = toChineseIsoString();
+  const feed = {
+    user_id: userId,
+    name: fields.name,
+    url: fields.url,
+    enabled: fields.enabled ?? true,
+    add_existing: fields.add_existing ?? false,
+    rules: fields.rules,
+    seen_guids: [],
+    initialized: false,
+    last_checked_at: null,
+    last_added_at: null,
+    last_error: null,
+    created_at: now,
+    updated_at: now,
+  };
+  const { insertedId } = await rssFeedsCollection().insertOne(feed);
+
+  return { ...feed, _id: insertedId };
+};
+
+// A new URL is a different feed, so its history of seen items restarts.
+const updateFeed = (userId, feedId, fields) =>
+  rssFeedsCollection().findOneAndUpdate(
+    { _id: feedId, user_id: userId },
+    {
+      $set: {
+        ...fields,
+        ...(fields.url ? { seen_guids: [], initialized: false } : {}),
+        updated_at: toChineseIsoString(),
+      },
+    },
+    { returnDocument: "after" }
+  );
+
+const removeFeed = async (userId, feedId) => {
+  const { deletedCount } = await rssFeedsCollection().deleteOne({
+    _id: feedId,
+    user_id: userId,
+  });
+
+  return deletedCount > 0;
+};
+
+const recordFeedCheck = (feed, { seenGuids, added, error }) =>
+  rssFeedsCollection().updateOne(
+    { _id: feed._id },
+    {
+      $set: {
+        seen_guids: [...new Set([...seenGuids, ...feed.seen_guids])].slice(
+          0,
+          SEEN_GUIDS_LIMIT
+        ),
+        initialized: true,
+        last_checked_at: toChineseIsoString(),
+        last_error: error || null,
+        ...(added > 0 ? { last_added_at: toChineseIsoString() } : {}),
+      },
+    }
+  );
+
+const recordMatch = async (feed, item, fields) => {
+  const doc = {
+    user_id: feed.user_id,
+    feed_id: feed._id,
+    guid: item.guid,
+    title: item.title,
+    url: item.url,
+    size_bytes: item.size_bytes,
+    episode_key: null,
+    rule: null,
+    upstream_id: null,
+    error: null,
+    ...fields,
+    created_at: toChineseIsoString(),
+    created_at_ts: new Date(),
+  };
+  const { insertedId } = await rssMatchesCollection().insertOne(doc);
+
+  return { ...doc, _id: insertedId };
+};
+
+const hasAddedEpisode = async (feedId, episodeKey) =>
+  Boolean(
+    await rssMatchesCollection().findOne({
+      feed_id: feedId,
+      episode_key: episodeKey,
+      status: "added",
+    })
+  );
+
+const findUserMatches = async (userId, { feedId, statuses, limit, offset }) => {
+  const filter = { user_id: userId };
+
+  if (feedId) {
+    filter.feed_id = feedId;
+  }
+
+  if (statuses) {
+    filter.status = { $in: statuses };
+  }
+
+  const [matches, total] = await Promise.all([
+    rssMatchesCollection()
+      .find(filter)
+      .sort({ created_at_ts: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray(),
+    rssMatchesCollection().countDocuments(filter),
+  ]);
+
+  return { matches: matches.map(toMatchResponse), total };
+};
+
+module.exports = {
+  MATCH_STATUSES,
+  toFeedResponse,
+  listUserFeeds,
+  findUserFeed,
+  findEnabledFeeds,
+  countUserFeeds,
+  createFeed,
+  updateFeed,
+  removeFeed,
+  recordFeedCheck,
+  recordMatch,
+  hasAddedEpisode,
+  findUserMatches,
+};
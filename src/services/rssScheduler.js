@@ -0,0 +1,384 @@
+const axios = require("axios");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+const {
+  parseFeed,
+  readEpisodeKey,
+  compileRulePattern,
+  testRulePattern,
+} = require("../utils/rss");
+const {
+  ensurePublicHost,
+  publicHostOptions,
+} = require("../utils/outboundHosts");
+const { callEndpoint } = require("./proxyEndpoints");
+const {
+  ensureStorageAvailable,
+  fitsRemainingStorage,
+} = require("./userStorage");
+const {
+  findEnabledFeeds,
+  recordFeedCheck,
+  recordMatch,
+  hasAddedEpisode,
+} = require("./rssFeeds");
+
+// Errors that will fail every add for this user until they free or renew
+// storage; the item is retried on a later cycle instead of being dropped.
+const BLOCKING_CODES = new Set(["storage_expired", "storage_quota_exceeded"]);
+// Bounds the work a rule pattern can do on a crafted title.
+const MAX_MATCHED_TITLE_LENGTH = 500;
+
+let timer = null;
+let running = null;
+const inflight = new Map();
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+// Feed URLs are user input: the host is checked before the request and
+// again on every connection, redirects included.
+const fetchFeedItems = async (url) => {
+  await ensurePublicHost(new URL(url));
+
+  const { data } = await axios.get(url, {
+    timeout: config.defaultTimeout,
+    responseType: "text",
+    maxContentLength: config.rssFeedMaxBytes,
+    headers: {
+      Accept:
+        "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8",
+    },
+    ...publicHostOptions(),
+  });
+
+  return parseFeed(data);
+};
+
+// Shown to the feed owner, so only the HTTP status or a generic reason is
+// kept; network error messages would describe hosts they cannot reach.
+const toFeedError = (error) => {
+  if (error.code === "forbidden_host") {
+    return { code: error.code, message: "url must point to a public host" };
+  }
+
+  if (error.response) {
+    return {
+      code: "feed_http_error",
+      message: `Feed answered with status ${error.response.status}`,
+    };
+  }
+
+  if (!error.isAxiosError) {
+    return { code: "invalid_feed", message: error.message };
+  }
+
+  return { code: "feed_unreachable", message: "Feed could not be fetched" };
+};
+
+// Patterns are compiled once per check. A rule with an unsafe pattern
+// (saved before patterns were checked) never matches, nor does one whose
+// pattern ran out of time on an earlier item of the same check.
+const compileRule = (rule) => {
+  const include = rule.include ? compileRulePattern(rule.include) : undefined;
+  const exclude = rule.exclude ? compileRulePattern(rule.exclude) : undefined;
+
+  return {
+    rule,
+    include,
+    exclude,
+    disabled: include === null || exclude === null,
+  };
+};
+
+const testPattern = (compiled, pattern, title) => {
+  const matched = testRulePattern(pattern, title);
+
+  if (matched === null) {
+    compiled.disabled = true;
+    logger.warn("RSS rule pattern timed out", { rule: compiled.rule.name });
+  }
+
+  return matched;
+};
+
+const matchesRule = (item, compiled) => {
+  const { rule, include, exclude } = compiled;
+  const title = item.title.slice(0, MAX_MATCHED_TITLE_LENGTH);
+
+  if (compiled.disabled) {
+    return false;
+  }
+
+  if (include && testPattern(compiled, include, title) !== true) {
+    return false;
+  }
+
+  if (exclude && testPattern(compiled, exclude, title) !== false) {
+    return false;
+  }
+
+  if (rule.min_size_bytes == null && rule.max_size_bytes == null) {
+    return true;
+  }
+
+  // Size bounds cannot be checked against items without a size.
+  return (
+    item.size_bytes != null &&
+    item.size_bytes >= (rule.min_size_bytes ?? 0) &&
+    item.size_bytes <= (rule.max_size_bytes ?? Infinity)
+  );
+};
+
+const toMatchError = (error) => ({
+  status: error.status || null,
+  code: error.code || null,
+  message: error.expose ? error.message : "internalError",
+});
+
+const addItem = async (user, item) => {
+  const { data } = await callEndpoint("/seedbox/add", {
+    user,
+    method: "POST",
+    body: { url: item.url, async: true },
+  });
+
+  return {
+    upstreamId: data?.value?.id != null ? String(data.value.id) : null,
+    duplicate: data?.value?.duplicate === true,
+  };
+};
+
+// Processes the items not seen before, oldest first so episodes are added
+// in order. Resolves with per-status counts.
+const processFeed = async (feed) => {
+  const summary = {
+    fetched: 0,
+    matched: 0,
+    added: 0,
+    duplicate: 0,
+    skipped: 0,
+    failed: 0,
+  };
+  let items;
+
+  try {
+    items = await fetchFeedItems(feed.url);
+  } catch (error) {
+    const lastError = toFeedError(error);
+
+    await recordFeedCheck(feed, { seenGuids: [], added: 0, error: lastError });
+    return { ...summary, error: lastError };
+  }
+
+  const seen = new Set(feed.seen_guids);
+  const fresh = items.filter((item) => !seen.has(item.guid)).reverse();
+  const seenGuids = [];
+  const addedEpisodes = new Set();
+  const rules = feed.rules.map(compileRule);
+  let blockingError = null;
+
+  summary.fetched = items.length;
+
+  // A new feed starts from what is published next unless asked to
+  // backfill what it already lists.
+  if (!feed.initialized && !feed.add_existing) {
+    await recordFeedCheck(feed, {
+      seenGuids: items.map((item) => item.guid),
+      added: 0,
+    });
+    return summary;
+  }
+
+  for (const item of fresh) {
+    const rule = rules.find((candidate) => matchesRule(item, candidate))?.rule;
+
+    if (!rule || !item.url) {
+      seenGuids.push(item.guid);
+      continue;
+    }
+
+    const episodeKey = rule.dedupe_episodes ? readEpisodeKey(item.title) : null;
+    const match = { rule: rule.name, episode_key: episodeKey };
+
+    summary.matched += 1;
+
+    if (
+      episodeKey &&
+      (addedEpisodes.has(episodeKey) ||
+        (await hasAddedEpisode(feed._id, episodeKey)))
+    ) {
+      await recordMatch(feed, item, { ...match, status: "duplicate" });
+      summary.duplicate += 1;
+      seenGuids.push(item.guid);
+      continue;
+    }
+
+    const user = await usersCollection().findOne({
+      _id: feed.user_id,
+      deleted: false,
+    });
+
+    if (!user) {
+      break;
+    }
+
+    try {
+      const available = await ensureStorageAvailable(user);
+
+      // Only this item is too big; smaller ones may still fit.
+      if (!fitsRemainingStorage(available, item.size_bytes)) {
+        await recordMatch(feed, item, {
+          ...match,
+          status: "skipped",
+          error: {
+            status: 403,
+            code: "storage_quota_exceeded",
+            message: "Item is larger than the remaining storage",
+          },
+        });
+        summary.skipped += 1;
+        seenGuids.push(item.guid);
+        continue;
+      }
+
+      const { upstreamId, duplicate } = await addItem(available, item);
+
+      // The user already has this torrent, added by hand or by another feed.
+      if (duplicate) {
+        await recordMatch(feed, item, {
+          ...match,
+          status: "duplicate",
+          upstream_id: upstreamId,
+        });
+        summary.duplicate += 1;
+      } else {
+        await recordMatch(feed, item, {
+          ...match,
+          status: "added",
+          upstream_id: upstreamId,
+        });
+        summary.added += 1;
+
+        if (episodeKey) {
+          addedEpisodes.add(episodeKey);
+        }
+      }
+    } catch (error) {
+      if (BLOCKING_CODES.has(error.code)) {
+        blockingError = toMatchError(error);
+        break;
+      }
+
+      await recordMatch(feed, item, {
+        ...match,
+        status: "failed",
+        error: toMatchError(error),
+      });
+      summary.failed += 1;
+    }
+
+    seenGuids.push(item.guid);
+  }
+
+  await recordFeedCheck(feed, {
+    seenGuids,
+    added: summary.added,
+    error: blockingError,
+  });
+
+  return blockingError ? { ...summary, error: blockingError } : summary;
+};
+
+// A feed checked on demand while the scheduler is on it shares that run.
+const checkRssFeed = (feed) => {
+  const key = feed._id.toString();
+
+  if (!inflight.has(key)) {
+    inflight.set(
+      key,
+      processFeed(feed).finally(() => inflight.delete(key))
+    );
+  }
+
+  return inflight.get(key);
+};
+
+// Feeds are checked one after another to stay gentle on indexers and on
+// upstream.
+const runRssCycle = async () => {
+  const feeds = await findEnabledFeeds();
+  const userIds = [...new Set(feeds.map((feed) => feed.user_id.toString()))];
+
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const activeUsers = new Set(
+    (
+      await usersCollection()
+        .find(
+          {
+            _id: { $in: userIds.map((id) => new ObjectId(id)) },
+            deleted: false,
+          },
+          { projection: { _id: 1 } }
+        )
+        .toArray()
+    ).map((user) => user._id.toString())
+  );
+
+  for (const feed of feeds) {
+    if (!activeUsers.has(feed.user_id.toString())) {
+      continue;
+    }
+
+    try {
+      await checkRssFeed(feed);
+    } catch (error) {
+      logger.error("RSS feed check failed", {
+        feed_id: feed._id.toString(),
+        error,
+      });
+    }
+  }
+};
+
+const tick = () => {
+  if (running) {
+    return;
+  }
+
+  running = runRssCycle()
+    .catch((error) => logger.error("RSS cycle failed", { error }))
+    .finally(() => {
+      running = null;
+    });
+};
+
+const startRssScheduler = () => {
+  if (!config.rssSchedulerEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(tick, config.rssPollIntervalMs);
+  timer.unref();
+};
+
+// Resolves once any cycle in progress has finished.
+const stopRssScheduler = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await running;
+};
+
+module.exports = {
+  checkRssFeed,
+  runRssCycle,
+  startRssScheduler,
+  stopRssScheduler,
+};
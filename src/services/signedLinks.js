@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+// Expiry is rounded up to this step so a link stays identical for a while
+// and ETags of responses carrying it remain useful.
+const EXPIRY_STEP_SECONDS = 60;
+const CIPHER_ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const URL_FIELDS = new Set(["downloadUrl"]);
+
+const downloadRedemptionsCollection = () =>
+  getDb().collection(config.mongoDownloadRedemptionsCollection);
+
+const requireSigningSecret = () => {
+  if (!config.signedLinkSecret) {
+    throw createError(500, "Signed link secret is not configured");
+  }
+
+  return config.signedLinkSecret;
+};
+
+const deriveKey = (purpose) =>
+  Buffer.from(
+    crypto.hkdfSync("sha256", requireSigningSecret(), "", purpose, 32)
+  );
+
+const invalidLink = () =>
+  createError(403, "Invalid download link", { code: "invalid_link" });
+
+// Tokens are the AES-256-GCM encryption of the owner, the link kind, the
+// upstream URL and the expiry in epoch seconds, so nothing is stored and a
+// link reveals nothing about the file it points to. The IV is an HMAC of the
+// payload: the same link always gets the same token, and different payloads
+// never share an IV.
+const createDownloadToken = ({ userId, url, kind }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt =
+    Math.ceil((now + config.signedLinkTtlSeconds) / EXPIRY_STEP_SECONDS) *
+    EXPIRY_STEP_SECONDS;
+  const payload = JSON.stringify({
+    u: userId.toString(),
+    k: kind,
+    url,
+    exp: expiresAt,
+  });
+  const iv = crypto
+    .createHmac("sha256", deriveKey("signed-link-iv"))
+    .update(payload)
+    .digest()
+    .subarray(0, IV_BYTES);
+  const cipher = crypto.createCipheriv(
+    CIPHER_ALGORITHM,
+    deriveKey("signed-link-encryption"),
+    iv
+  );
+  const data = Buffer.concat([cipher.update(payload, "utf8"), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64url");
+};
+
+const buildDownloadUrl = (link) =>
+  `${config.publicBaseUrl}/dl/${createDownloadToken(link)}`;
+
+const decryptToken = (token) => {
+  const sealed = Buffer.from(String(token), "base64url");
+
+  if (sealed.length <= IV_BYTES + TAG_BYTES) {
+    throw invalidLink();
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      CIPHER_ALGORITHM,
+      deriveKey("signed-link-encryption"),
+      sealed.subarray(0, IV_BYTES)
+    );
+    decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+    return JSON.parse(
+      Buffer.concat([
+        decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)),
+        decipher.final(),
+      ]).toString("utf8")
+    );
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+
+    throw invalidLink();
+  }
+};
+
+const readDownloadToken = (token) => {
+  const { u: userId, k: kind, url, exp } = decryptToken(token);
+
+  if (!(exp * 1000 > Date.now())) {
+    throw createError(410, "Download link has expired", {
+      code: "link_expired",
+    });
+  }
+
+  return { userId, kind, url, expiresAt: exp };
+};
+
+// Links that already point at /dl/ (e.g. from a nested proxy call) are
+// left alone.
+const isUpstreamUrl = (value) =>
+  /^https?:\/\//i.test(value) &&
+  !value.startsWith(`${config.publicBaseUrl}/dl/`);
+
+// Swaps every upstream download URL in a response value for a signed one.
+const rewriteDownloadUrls = (value, link) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => rewriteDownloadUrls(item, link));
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      URL_FIELDS.has(key) && isUpstreamUrl(String(field))
+        ? buildDownloadUrl({ ...link, url: field })
+        : rewriteDownloadUrls(field, link),
+    ])
+  );
+};
+
+const recordDownloadRedemption = async ({ user, link, mode, ip, range }) => {
+  const now = new Date();
+
+  await downloadRedemptionsCollection().insertOne({
+    user_id: user._id,
+    kind: link.kind,
+    upstream_host: new URL(link.url).host,
+    mode,
+    range: range || null,
+    ip: ip || null,
+    created_at: toChineseIsoString(now),
+    created_at_ts: now,
+  });
+};
+
+module.exports = {
+  createDownloadToken,
+  readDownloadToken,
+  rewriteDownloadUrls,
+  recordDownloadRedemption,
+};
@@ -0,0 +1,163 @@
+const axios = require("axios");
+const createError = require("http-errors");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+const {
+  getUserCredentials,
+  resolveUpstreamToken,
+  saveUserCredentials,
+  toCredentialStatus,
+} = require("./credentialVault");
+
+const OAUTH_TOKEN_PATH = "/oauth/token";
+const EXPIRY_SKEW_MS = 30 * 1000;
+const EXPIRED_TOKEN_ERRORS = new Set([
+  "badToken",
+  "expired_token",
+  "invalid_token",
+]);
+
+// One refresh per account at a time; concurrent callers share the promise.
+const inflightRefreshes = new Map();
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const isAccessTokenExpired = (expiresAt) => {
+  if (!expiresAt) {
+    return false;
+  }
+
+  const expiration = new Date(expiresAt);
+
+  if (Number.isNaN(expiration.getTime())) {
+    return false;
+  }
+
+  const nowInChina = new Date(toChineseIsoString());
+  return expiration.getTime() - EXPIRY_SKEW_MS <= nowInChina.getTime();
+};
+
+const isExpiredTokenResponse = (response) =>
+  response?.status === 401 &&
+  (!response.data?.error || EXPIRED_TOKEN_ERRORS.has(response.data.error));
+
+const requestTokenRefresh = async (refreshToken) => {
+  if (!config.debridClientId) {
+    throw createError(500, "Debrid-Link client id is not configured");
+  }
+
+  const form = new URLSearchParams({
+    client_id: config.debridClientId,
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+  });
+
+  if (config.debridClientSecret) {
+    form.set("client_secret", config.debridClientSecret);
+  }
+
+  const response = await axios.post(
+    `${config.oauthBaseUrl}${OAUTH_TOKEN_PATH}`,
+    form.toString(),
+    {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: config.defaultTimeout,
+      validateStatus: () => true,
+    }
+  );
+
+  if (response.status >= 400 || !response.data?.access_token) {
+    throw createError(
+      401,
+      "Debrid-Link session expired, link your account again",
+      {
+        code: "session_expired",
+        details: response.data || null,
+      }
+    );
+  }
+
+  return response.data;
+};
+
+const performRefresh = async (userId, failedToken) => {
+  const user = await usersCollection().findOne({ _id: userId });
+  const credentials = getUserCredentials(user);
+
+  if (!credentials) {
+    throw createError(401, "Debrid-Link account is not linked", {
+      code: "account_not_linked",
+    });
+  }
+
+  // Another request already rotated the token while this one was in flight.
+  if (
+    failedToken &&
+    credentials.accessToken !== failedToken &&
+    !isAccessTokenExpired(credentials.expiresAt)
+  ) {
+    return credentials.accessToken;
+  }
+
+  if (!credentials.refreshToken) {
+    throw createError(
+      401,
+      "Debrid-Link session expired, link your account again",
+      { code: "session_expired" }
+    );
+  }
+
+  const refreshed = await requestTokenRefresh(credentials.refreshToken);
+
+  await saveUserCredentials(userId, {
+    accessToken: refreshed.access_token,
+    refreshToken: refreshed.refresh_token || credentials.refreshToken,
+    expiresIn: refreshed.expires_in,
+    scope: refreshed.scope || credentials.scope,
+  });
+
+  return refreshed.access_token;
+};
+
+const refreshUserAccessToken = (user, failedToken) => {
+  if (!user?._id) {
+    return Promise.reject(createError(401, "Invalid token"));
+  }
+
+  const key = user._id.toString();
+
+  if (!inflightRefreshes.has(key)) {
+    const pending = performRefresh(user._id, failedToken).finally(() => {
+      inflightRefreshes.delete(key);
+    });
+
+    inflightRefreshes.set(key, pending);
+  }
+
+  return inflightRefreshes.get(key);
+};
+
+// Resolve the upstream token, refreshing it first when it is known to be stale.
+const resolveFreshUpstreamToken = async (user, options) => {
+  const credentials = getUserCredentials(user);
+
+  if (
+    credentials?.refreshToken &&
+    isAccessTokenExpired(credentials.expiresAt)
+  ) {
+    return refreshUserAccessToken(user, credentials.accessToken);
+  }
+
+  return resolveUpstreamToken(user, options);
+};
+
+const canRefreshUpstreamToken = (user) =>
+  toCredentialStatus(user).has_refresh_token;
+
+module.exports = {
+  isExpiredTokenResponse,
+  refreshUserAccessToken,
+  resolveFreshUpstreamToken,
+  canRefreshUpstreamToken,
+};
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+const { logger } = require("../utils/logger");
+const {
+  ensurePublicHost,
+  publicHostOptions,
+} = require("../utils/outboundHosts");
+const { sendTorrentEventEmail } = require("./mailerSend");
+
+const EVENT_TYPES = ["added", "downloading", "finished", "error"];
+const DEFAULT_EVENTS = ["finished", "error"];
+
+const torrentEventsCollection = () =>
+  getDb().collection(config.mongoTorrentEventsCollection);
+
+// Stored on the user document under `notifications`; missing fields fall
+// back to emailing finished and failed torrents.
+const toNotificationSettings = (user) => {
+  const stored = user?.notifications || {};
+
+  return {
+    events: Array.isArray(stored.events)
+      ? stored.events.filter((type) => EVENT_TYPES.includes(type))
+      : DEFAULT_EVENTS,
+    email: typeof stored.email === "boolean" ? stored.email : true,
+    webhook_url: stored.webhook_url || null,
+    webhook_secret: stored.webhook_secret || null,
+  };
+};
+
+const toEventResponse = (doc) => ({
+  id: doc._id.toString(),
+  type: doc.type,
+  torrent_id: doc.upstream_id,
+  name: doc.name,
+  created_at: doc.created_at,
+  notifications: doc.notifications,
+});
+
+const recordTorrentEvent = async (item, type) => {
+  const event = {
+    user_id: item.user_id,
+    upstream_id: item.upstream_id,
+    name: item.name || null,
+    type,
+    notifications: {},
+    created_at: toChineseIsoString(),
+    created_at_ts: new Date(),
+  };
+  const { insertedId } = await torrentEventsCollection().insertOne(event);
+
+  return { ...event, _id: insertedId };
+};
+
+const signWebhookPayload = (secret, payload) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(payload).digest("hex")}`;
+
+const postWebhook = async (settings, event) => {
+  const payload = JSON.stringify({
+    id: event._id.toString(),
+    type: event.type,
+    torrent: { id: event.upstream_id, name: event.name },
+    created_at: event.created_at,
+  });
+
+  // Checked again on delivery: the host may resolve elsewhere by now.
+  await ensurePublicHost(new URL(settings.webhook_url), "webhook_url");
+  await axios.post(settings.webhook_url, payload, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Event": `torrent.${event.type}`,
+      ...(settings.webhook_secret
+        ? {
+            "X-Webhook-Signature": signWebhookPayload(
+              settings.webhook_secret,
+              payload
+            ),
+          }
+        : {}),
+    },
+    timeout: config.defaultTimeout,
+    maxRedirects: 0,
+    ...publicHostOptions(),
+  });
+};
+
+// Delivers an event over the channels the owner enabled and records the
+// outcome per channel ("sent" or "failed") on the event.
+const notifyTorrentEvent = async (user, event) => {
+  const settings = toNotificationSettings(user);
+
+  if (!settings.events.includes(event.type)) {
+    return event;
+  }
+
+  const channels = {};
+
+  if (settings.email && user.email) {
+    channels.email = () =>
+      sendTorrentEventEmail({ toEmail: user.email, event });
+  }
+
+  if (settings.webhook_url) {
+    channels.webhook = () => postWebhook(settings, event);
+  }
+
+  const notifications = {};
+
+  await Promise.all(
+    Object.entries(channels).map(async ([channel, send]) => {
+      try {
+        await send();
+        notifications[channel] = "sent";
+      } catch (error) {
+        logger.warn("Failed to deliver torrent notification", {
+          channel,
+          event_id: event._id.toString(),
+          error,
+        });
+        notifications[channel] = "failed";
+      }
+    })
+  );
+
+  await torrentEventsCollection().updateOne(
+    { _id: event._id },
+    { $set: { notifications } }
+  );
+
+  return { ...event, notifications };
+};
+
+const findUserEvents = async (userId, { types, limit, offset }) => {
+  const filter = { user_id: userId };
+
+  if (types) {
+    filter.type = { $in: types };
+  }
+
+  const [events, total] = await Promise.all([
+    torrentEventsCollection()
+      .find(filter)
+      .sort({ created_at_ts: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray(),
+    torrentEventsCollection().countDocuments(filter),
+  ]);
+
+  return { events: events.map(toEventResponse), total };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  toNotificationSettings,
+  recordTorrentEvent,
+  notifyTorrentEvent,
+  findUserEvents,
+};
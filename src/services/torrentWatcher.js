@@ -0,0 +1,161 @@
+const { ObjectId } = require("mongodb");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { logger } = require("../utils/logger");
+const { callEndpoint } = require("./proxyEndpoints");
+const { findWatchedItems, setItemWatchState } = require("./upstreamItems");
+const { recordTorrentEvent, notifyTorrentEvent } = require("./torrentEvents");
+
+// Items in these states are no longer polled. "removed" marks torrents that
+// disappeared upstream without going through our remove route.
+const TERMINAL_STATES = ["finished", "error", "removed"];
+const FINISHED_STATUSES = new Set([5, 6, 100]);
+const IDS_PER_CALL = 50;
+
+let timer = null;
+let running = null;
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+const classifyTorrent = (torrent) => {
+  if (torrent.error || Number(torrent.errorCode) > 0) {
+    return "error";
+  }
+
+  if (
+    Number(torrent.downloadPercent) >= 100 ||
+    FINISHED_STATUSES.has(Number(torrent.status))
+  ) {
+    return "finished";
+  }
+
+  return torrent.wait ? "added" : "downloading";
+};
+
+// A first sighting always reports "added", followed by the current state
+// when the torrent has already moved on.
+const listTransitions = (previous, next) => {
+  if (!previous) {
+    return next === "added" ? ["added"] : ["added", next];
+  }
+
+  return previous === next ? [] : [next];
+};
+
+const chunk = (values, size) =>
+  Array.from({ length: Math.ceil(values.length / size) }, (_, index) =>
+    values.slice(index * size, (index + 1) * size)
+  );
+
+const fetchTorrents = async (user, ids) => {
+  const { status, data } = await callEndpoint("/seedbox/list", {
+    user,
+    query: { ids: ids.join(",") },
+    headers: { "cache-control": "no-cache" },
+  });
+
+  if (status < 200 || status >= 300 || !Array.isArray(data?.value)) {
+    throw new Error(`Debrid-Link answered ${status} to /seedbox/list`);
+  }
+
+  return new Map(data.value.map((torrent) => [String(torrent.id), torrent]));
+};
+
+const watchUserItems = async (user, items) => {
+  for (const batch of chunk(items, IDS_PER_CALL)) {
+    const torrents = await fetchTorrents(
+      user,
+      batch.map((item) => item.upstream_id)
+    );
+
+    for (const item of batch) {
+      const torrent = torrents.get(item.upstream_id);
+      const next = torrent ? classifyTorrent(torrent) : "removed";
+
+      if (next !== "removed") {
+        for (const type of listTransitions(item.watch_state, next)) {
+          const event = await recordTorrentEvent(
+            { ...item, name: torrent.name || item.name },
+            type
+          );
+          await notifyTorrentEvent(user, event);
+        }
+      }
+
+      if (next !== item.watch_state) {
+        await setItemWatchState(item._id, next);
+      }
+    }
+  }
+};
+
+// One pass over every user with torrents that have not reached a terminal
+// state. Users are polled one after another to stay gentle on upstream.
+const runTorrentWatcherCycle = async () => {
+  const items = await findWatchedItems("seedbox", TERMINAL_STATES);
+  const itemsByUser = new Map();
+
+  items.forEach((item) => {
+    const key = item.user_id.toString();
+    itemsByUser.set(key, [...(itemsByUser.get(key) || []), item]);
+  });
+
+  if (itemsByUser.size === 0) {
+    return;
+  }
+
+  const users = await usersCollection()
+    .find({
+      _id: { $in: [...itemsByUser.keys()].map((id) => new ObjectId(id)) },
+      deleted: false,
+    })
+    .toArray();
+
+  for (const user of users) {
+    try {
+      await watchUserItems(user, itemsByUser.get(user._id.toString()));
+    } catch (error) {
+      logger.error("Torrent watcher failed for user", {
+        user_id: user._id.toString(),
+        error,
+      });
+    }
+  }
+};
+
+const tick = () => {
+  if (running) {
+    return;
+  }
+
+  running = runTorrentWatcherCycle()
+    .catch((error) => logger.error("Torrent watcher cycle failed", { error }))
+    .finally(() => {
+      running = null;
+    });
+};
+
+const startTorrentWatcher = () => {
+  if (!config.torrentWatcherEnabled || timer) {
+    return;
+  }
+
+  timer = setInterval(tick, config.torrentWatcherIntervalMs);
+  timer.unref();
+};
+
+// Resolves once any cycle in progress has finished.
+const stopTorrentWatcher = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  await running;
+};
+
+module.exports = {
+  runTorrentWatcherCycle,
+  startTorrentWatcher,
+  stopTorrentWatcher,
+};
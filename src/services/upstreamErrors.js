@@ -0,0 +1,152 @@
+const createError = require("http-errors");
+
+// Debrid-Link error strings (and the OAuth errors of its token endpoints)
+// mapped to the status and stable `code` our clients see. Unknown errors
+// keep a 4xx upstream status and become 502 otherwise.
+const ERROR_GROUPS = [
+  {
+    status: 401,
+    code: "upstream_unauthorized",
+    message: "Debrid-Link rejected the access token",
+    errors: [
+      "badToken",
+      "badSign",
+      "hidedToken",
+      "expired_token",
+      "invalid_token",
+    ],
+  },
+  {
+    status: 403,
+    code: "access_denied",
+    message: "Debrid-Link denied access",
+    errors: ["access_denied", "unauthorized_client", "invalid_client"],
+  },
+  {
+    status: 403,
+    code: "premium_required",
+    message: "A premium Debrid-Link account is required",
+    errors: ["notFreeHost", "notPremium"],
+  },
+  {
+    status: 403,
+    code: "limit_reached",
+    message: "Debrid-Link account limit reached",
+    errors: ["maxLink", "maxLinkHost", "maxData", "maxDataHost", "maxTorrent"],
+  },
+  {
+    status: 404,
+    code: "not_found",
+    message: "Debrid-Link resource not found",
+    errors: ["notFound", "fileNotFound", "badId"],
+  },
+  {
+    status: 400,
+    code: "invalid_request",
+    message: "Debrid-Link rejected the request",
+    errors: [
+      "badArguments",
+      "badFileUrl",
+      "badFilePassword",
+      "notAddTorrent",
+      "invalid_request",
+      "invalid_grant",
+      "unsupported_grant_type",
+    ],
+  },
+  {
+    status: 413,
+    code: "torrent_too_big",
+    message: "Torrent is too big for this Debrid-Link account",
+    errors: ["torrentTooBig"],
+  },
+  {
+    status: 422,
+    code: "unsupported_host",
+    message: "This host is not supported by Debrid-Link",
+    errors: ["notDebrid", "hostNotValid"],
+  },
+  {
+    status: 503,
+    code: "host_unavailable",
+    message: "The file host is currently unavailable",
+    errors: [
+      "fileNotAvailable",
+      "maintenanceHost",
+      "noServerHost",
+      "disabledServerHost",
+    ],
+  },
+  {
+    status: 429,
+    code: "rate_limited",
+    message: "Too many requests to Debrid-Link",
+    errors: ["floodDetected", "slow_down"],
+  },
+  {
+    status: 400,
+    code: "authorization_pending",
+    message: "The device code has not been approved yet",
+    errors: ["authorization_pending"],
+  },
+  {
+    status: 503,
+    code: "upstream_unavailable",
+    message: "Debrid-Link is temporarily unavailable",
+    errors: ["maintenance", "server_error"],
+  },
+];
+
+const errorsByName = new Map(
+  ERROR_GROUPS.flatMap((group) => group.errors.map((name) => [name, group]))
+);
+
+const FORWARDED_ERROR_HEADERS = ["retry-after"];
+
+const readUpstreamErrorName = (data) => {
+  if (typeof data?.error === "string") {
+    return data.error;
+  }
+
+  return null;
+};
+
+// Stable code for a Debrid-Link error body, or null when it is not known.
+const readUpstreamErrorCode = (data) => {
+  const name = readUpstreamErrorName(data);
+  return (name && errorsByName.get(name)?.code) || null;
+};
+
+// Builds the error our handler renders as { success: false, error, code,
+// details } for a non-2xx upstream response; details keeps the raw body.
+const toUpstreamError = (response) => {
+  const name = readUpstreamErrorName(response.data);
+  const group = name ? errorsByName.get(name) : null;
+  const status =
+    group?.status ||
+    (response.status >= 400 && response.status < 500 ? response.status : 502);
+  const headers = Object.fromEntries(
+    FORWARDED_ERROR_HEADERS.filter((key) => response.headers?.[key]).map(
+      (key) => [key, response.headers[key]]
+    )
+  );
+
+  return createError(
+    status,
+    group?.message || `Debrid-Link answered with status ${response.status}`,
+    {
+      expose: true,
+      code: group?.code || "upstream_error",
+      details: {
+        upstream_status: response.status,
+        upstream: response.data ?? null,
+      },
+      ...(Object.keys(headers).length > 0 ? { headers } : {}),
+    }
+  );
+};
+
+module.exports = {
+  readUpstreamErrorCode,
+  toUpstreamError,
+};
@@ -0,0 +1,147 @@
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+// Ledger of the torrents and links each user added on the upstream account,
+// with the size they were charged for.
+const upstreamItemsCollection = () =>
+  getDb().collection(config.mongoUpstreamItemsCollection);
+
+const toItemList = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  return value && typeof value === "object" ? [value] : [];
+};
+
+const parseIdList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id.length > 0);
+
+const readItemSize = (item) => {
+  const size = Number(item.totalSize ?? item.size ?? 0);
+  return Number.isFinite(size) && size > 0 ? size : 0;
+};
+
+// `accountId` is the pool account the items were added on, when known.
+const recordUpstreamItems = async (userId, kind, items, { accountId } = {}) => {
+  const timestamp = toChineseIsoString();
+  const records = items.filter((item) => item?.id != null);
+
+  await Promise.all(
+    records.map((item) =>
+      upstreamItemsCollection().updateOne(
+        { user_id: userId, kind, upstream_id: String(item.id) },
+        {
+          $set: {
+            name: item.name || null,
+            size_bytes: readItemSize(item),
+            hash: item.hashString
+              ? String(item.hashString).toLowerCase()
+              : null,
+            url: item.url || null,
+            updated_at: timestamp,
+          },
+          $setOnInsert: {
+            upstream_account_id: accountId || null,
+            created_at: timestamp,
+          },
+        },
+        { upsert: true }
+      )
+    )
+  );
+
+  return records;
+};
+
+const findUserItems = (userId, kind, ids) => {
+  const filter = { user_id: userId, kind };
+
+  if (ids) {
+    filter.upstream_id = { $in: ids.map(String) };
+  }
+
+  return upstreamItemsCollection().find(filter).toArray();
+};
+
+// Ledger entries for these ids, whoever owns them.
+const findItemOwners = (kind, ids) =>
+  upstreamItemsCollection()
+    .find({ kind, upstream_id: { $in: ids.map(String) } })
+    .toArray();
+
+const removeUserItems = async (userId, kind, ids) => {
+  const items = await findUserItems(userId, kind, ids);
+
+  if (items.length > 0) {
+    await upstreamItemsCollection().deleteMany({
+      _id: { $in: items.map((item) => item._id) },
+    });
+  }
+
+  return items;
+};
+
+// An item the user still has (as far as the ledger knows) with the same
+// info-hash or source link.
+const findDuplicateItem = (userId, kind, { hash, sourceUrl }) => {
+  const keys = [
+    ...(hash ? [{ hash }] : []),
+    ...(sourceUrl ? [{ source_url: sourceUrl }] : []),
+  ];
+
+  if (keys.length === 0) {
+    return null;
+  }
+
+  return upstreamItemsCollection().findOne({
+    user_id: userId,
+    kind,
+    watch_state: { $ne: "removed" },
+    $or: keys,
+  });
+};
+
+// Remembers what a request pointed at, since upstream only reports the
+// info-hash of torrents and rewrites hoster links.
+const setItemSources = (userId, kind, ids, { hash, sourceUrl }) =>
+  upstreamItemsCollection().updateMany(
+    { user_id: userId, kind, upstream_id: { $in: ids.map(String) } },
+    {
+      $set: {
+        source_url: sourceUrl || null,
+        ...(hash ? { hash } : {}),
+      },
+    }
+  );
+
+// Items the torrent watcher still has to poll: not yet seen, or last seen in a
+// non-terminal state.
+const findWatchedItems = (kind, terminalStates) =>
+  upstreamItemsCollection()
+    .find({ kind, watch_state: { $nin: terminalStates } })
+    .toArray();
+
+const setItemWatchState = (itemId, state) =>
+  upstreamItemsCollection().updateOne(
+    { _id: itemId },
+    { $set: { watch_state: state, watch_updated_at: toChineseIsoString() } }
+  );
+
+module.exports = {
+  toItemList,
+  parseIdList,
+  readItemSize,
+  recordUpstreamItems,
+  findUserItems,
+  findItemOwners,
+  removeUserItems,
+  findDuplicateItem,
+  setItemSources,
+  findWatchedItems,
+  setItemWatchState,
+};
@@ -0,0 +1,154 @@
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EPIPE",
+  "EAI_AGAIN",
+]);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const BREAKER_FAILURE_STATUSES = new Set([502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(["get", "head", "options", "put", "delete"]);
+
+const breakers = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createCircuitBreaker = (
+  name,
+  {
+    failureThreshold = config.circuitBreakerFailureThreshold,
+    resetTimeoutMs = config.circuitBreakerResetMs,
+  } = {}
+) => {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const open = () => {
+    state = "open";
+    openedAt = Date.now();
+    trialInFlight = false;
+  };
+
+  return {
+    name,
+    // Closed lets everything through; open fails fast until the reset
+    // timeout elapses, then a single half-open trial decides what comes next.
+    canRequest() {
+      if (state === "closed") {
+        return true;
+      }
+
+      if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+        state = "half_open";
+      }
+
+      if (state === "half_open" && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+
+      return false;
+    },
+    recordSuccess() {
+      state = "closed";
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      consecutiveFailures += 1;
+
+      if (state === "half_open" || consecutiveFailures >= failureThreshold) {
+        open();
+      }
+    },
+    retryAfterMs() {
+      if (state !== "open") {
+        return 0;
+      }
+
+      return Math.max(0, resetTimeoutMs - (Date.now() - openedAt));
+    },
+    snapshot() {
+      return {
+        state,
+        consecutive_failures: consecutiveFailures,
+        opened_at: openedAt ? toChineseIsoString(new Date(openedAt)) : null,
+      };
+    },
+  };
+};
+
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name));
+  }
+
+  return breakers.get(name);
+};
+
+const getCircuitBreakerStates = () =>
+  Object.fromEntries(
+    Array.from(breakers.entries()).map(([name, breaker]) => [
+      name,
+      breaker.snapshot(),
+    ])
+  );
+
+const isIdempotentMethod = (method = "get") =>
+  IDEMPOTENT_METHODS.has(method.toLowerCase());
+
+const isRetryableError = (error) => RETRYABLE_ERROR_CODES.has(error?.code);
+
+const isRetryableStatus = (status) => RETRYABLE_STATUSES.has(status);
+
+const isBreakerFailure = (status) => BREAKER_FAILURE_STATUSES.has(status);
+
+// Exponential backoff with full jitter.
+const computeBackoffDelay = (attempt) => {
+  const ceiling = Math.min(
+    config.upstreamRetryMaxDelayMs,
+    config.upstreamRetryBaseDelayMs * 2 ** attempt
+  );
+
+  return Math.floor(Math.random() * ceiling);
+};
+
+// Retry-After is either delta-seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+  if (value == null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return Math.max(0, date.getTime() - Date.now());
+};
+
+module.exports = {
+  sleep,
+  getCircuitBreaker,
+  getCircuitBreakerStates,
+  isIdempotentMethod,
+  isRetryableError,
+  isRetryableStatus,
+  isBreakerFailure,
+  computeBackoffDelay,
+  parseRetryAfter,
+};
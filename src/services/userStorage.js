@@ -0,0 +1,156 @@
+const createError = require("http-errors");
+const { getDb } = require("./mongoClient");
+const config = require("../config");
+const { toChineseIsoString } = require("../utils/time");
+
+const usersCollection = () => getDb().collection(config.mongoUsersCollection);
+
+// Zero out storage fields when the stored quota is already expired.
+const applyStorageExpiration = (doc) => {
+  if (!doc || !doc.storage_expired_at) {
+    return { doc, expired: false };
+  }
+
+  const expiration = new Date(doc.storage_expired_at);
+  if (Number.isNaN(expiration.getTime())) {
+    return { doc, expired: false };
+  }
+
+  const nowInChina = new Date(toChineseIsoString());
+  if (expiration <= nowInChina) {
+    if (doc.storage_all === 0 && doc.storage_used === 0) {
+      return { doc, expired: false };
+    }
+
+    return {
+      doc: {
+        ...doc,
+        storage_all: 0,
+        storage_used: 0,
+      },
+      expired: true,
+    };
+  }
+
+  return { doc, expired: false };
+};
+
+const refreshStorageIfExpired = async (doc) => {
+  if (!doc) {
+    return doc;
+  }
+
+  const { doc: maybeUpdatedDoc, expired } = applyStorageExpiration(doc);
+
+  if (!expired) {
+    return maybeUpdatedDoc;
+  }
+
+  const timestamp = toChineseIsoString();
+
+  await usersCollection().updateOne(
+    { _id: doc._id },
+    {
+      $set: {
+        storage_all: maybeUpdatedDoc.storage_all,
+        storage_used: maybeUpdatedDoc.storage_used,
+        updated_at: timestamp,
+      },
+    }
+  );
+
+  return {
+    ...maybeUpdatedDoc,
+    updated_at: timestamp,
+  };
+};
+
+const isStorageExpired = (doc) => {
+  if (!doc?.storage_expired_at) {
+    return false;
+  }
+
+  const expiration = new Date(doc.storage_expired_at);
+
+  if (Number.isNaN(expiration.getTime())) {
+    return false;
+  }
+
+  return expiration <= new Date(toChineseIsoString());
+};
+
+const bytesToStorageUnits = (bytes) => {
+  const parsed = Number(bytes);
+
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return 0;
+  }
+
+  return parsed / config.storageUnitBytes;
+};
+
+// Items of unknown size always fit; they are charged once upstream reports
+// their size.
+const fitsRemainingStorage = (user, sizeBytes) =>
+  !sizeBytes ||
+  bytesToStorageUnits(sizeBytes) <=
+    (user.storage_all || 0) - (user.storage_used || 0);
+
+// Gate for operations that consume storage on the upstream account. Pass
+// the size the request declares, when known, to refuse items that would
+// overrun the quota.
+const ensureStorageAvailable = async (doc, { sizeBytes } = {}) => {
+  const user = await refreshStorageIfExpired(doc);
+
+  if (isStorageExpired(user)) {
+    throw createError(403, "Storage has expired", {
+      code: "storage_expired",
+    });
+  }
+
+  if (!(user.storage_all > user.storage_used)) {
+    throw createError(403, "Storage quota exceeded", {
+      code: "storage_quota_exceeded",
+    });
+  }
+
+  if (!fitsRemainingStorage(user, sizeBytes)) {
+    throw createError(403, "Item is larger than the remaining storage", {
+      code: "storage_quota_exceeded",
+      details: {
+        required: bytesToStorageUnits(sizeBytes),
+        available: user.storage_all - user.storage_used,
+      },
+    });
+  }
+
+  return user;
+};
+
+// Shift storage_used by delta units without ever dropping below zero.
+const adjustStorageUsed = async (userId, delta) => {
+  if (!delta) {
+    return;
+  }
+
+  await usersCollection().updateOne({ _id: userId }, [
+    {
+      $set: {
+        storage_used: {
+          $max: [0, { $add: [{ $ifNull: ["$storage_used", 0] }, delta] }],
+        },
+        updated_at: toChineseIsoString(),
+      },
+    },
+  ]);
+};
+
+module.exports = {
+  applyStorageExpiration,
+  refreshStorageIfExpired,
+  isStorageExpired,
+  ensureStorageAvailable,
+  fitsRemainingStorage,
+  bytesToStorageUnits,
+  adjustStorageUsed,
+};
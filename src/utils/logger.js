@@ -0,0 +1,67 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+const { toChineseIsoString } = require("./time");
+const { redactSecrets } = require("./redact");
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Carries the current request id through every async hop of a request, so
+// log lines from services need no request object.
+const requestContext = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+const getRequestId = () => requestContext.getStore()?.requestId || null;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.status ? { status: error.status } : {}),
+  ...(error.code ? { code: error.code } : {}),
+  stack: error.stack,
+});
+
+const toLogFields = (fields) => {
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+
+  return Object.fromEntries(
+    Object.entries(fields || {}).map(([key, value]) => [
+      key,
+      value instanceof Error ? serializeError(value) : value,
+    ])
+  );
+};
+
+// One JSON object per line; errors and warnings go to stderr.
+const write = (level, message, fields) => {
+  if (LEVELS[level] > (LEVELS[config.logLevel] ?? LEVELS.info)) {
+    return;
+  }
+
+  const requestId = getRequestId();
+  const line = JSON.stringify({
+    time: toChineseIsoString(),
+    level,
+    message,
+    ...(requestId ? { request_id: requestId } : {}),
+    ...redactSecrets(toLogFields(fields)),
+  });
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+  stream.write(`${line}\n`);
+};
+
+const logger = Object.fromEntries(
+  Object.keys(LEVELS).map((level) => [
+    level,
+    (message, fields) => write(level, message, fields),
+  ])
+);
+
+module.exports = {
+  logger,
+  runWithRequestContext,
+  getRequestId,
+};
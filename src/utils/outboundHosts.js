@@ -0,0 +1,108 @@
+const dns = require("dns");
+const net = require("net");
+const createError = require("http-errors");
+const config = require("../config");
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4
+// list by BlockList itself.
+const privateRanges = new net.BlockList();
+
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  privateRanges.addSubnet(address, prefix, "ipv4")
+);
+
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  privateRanges.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) =>
+  privateRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const forbiddenHost = (label) =>
+  createError(400, `${label} must point to a public host`, {
+    code: "forbidden_host",
+  });
+
+const toHostname = (url) => url.hostname.replace(/^\[|\]$/g, "");
+
+// Validates a user-supplied URL before it is stored or fetched. Every
+// address the host resolves to must be public; ALLOW_PRIVATE_OUTBOUND_HOSTS
+// turns the check off for deployments that talk to their own network.
+const ensurePublicHost = async (url, label = "url") => {
+  if (config.allowPrivateOutboundHosts) {
+    return;
+  }
+
+  const hostname = toHostname(url);
+  let addresses;
+
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map(
+          (entry) => entry.address
+        );
+  } catch (_error) {
+    throw createError(400, `${label} host could not be resolved`, {
+      code: "forbidden_host",
+    });
+  }
+
+  if (addresses.some(isPrivateAddress)) {
+    throw forbiddenHost(label);
+  }
+};
+
+// Re-checks at connect time, so a host that changed its DNS answer since it
+// was validated (or a redirect target) cannot reach a private address.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      callback(forbiddenHost("url"));
+    } else {
+      callback(null, addresses);
+    }
+  });
+};
+
+// Node skips the lookup for IP literals, so redirects to them are checked
+// here.
+const checkRedirect = (options) => {
+  const hostname = options.hostname.replace(/^\[|\]$/g, "");
+
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw forbiddenHost("url");
+  }
+};
+
+// Extra axios options for requests to user-supplied URLs.
+const publicHostOptions = () =>
+  config.allowPrivateOutboundHosts
+    ? {}
+    : { lookup: publicLookup, beforeRedirect: checkRedirect };
+
+module.exports = {
+  isPrivateAddress,
+  ensurePublicHost,
+  publicHostOptions,
+};
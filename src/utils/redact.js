@@ -0,0 +1,42 @@
+const REDACTED = "[REDACTED]";
+const SENSITIVE_KEY_PATTERN =
+  /authorization|cookie|password|secret|token|api[-_]?key|refresh|client_secret/i;
+const MAX_DEPTH = 6;
+
+const isSensitiveKey = (key) => SENSITIVE_KEY_PATTERN.test(key);
+
+// Deep-copies plain data, masking values stored under sensitive keys.
+const redactSecrets = (value, depth = 0) => {
+  if (value == null || typeof value !== "object") {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item, depth + 1));
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `[Binary ${value.length} bytes]`;
+  }
+
+  if (value instanceof Date || typeof value.toHexString === "function") {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      isSensitiveKey(key) ? REDACTED : redactSecrets(entry, depth + 1),
+    ])
+  );
+};
+
+module.exports = {
+  REDACTED,
+  isSensitiveKey,
+  redactSecrets,
+};
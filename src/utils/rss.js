@@ -0,0 +1,488 @@
+// Reads RSS 2.0 and Atom torrent feeds without a full XML parser: each
+// <item>/<entry> is scanned for the handful of tags torrent indexers use
+// (title, guid, link, enclosure, torrent:magnetURI, size fields).
+
+const vm = require("vm");
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4,
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== "#") {
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    }
+
+    const code =
+      entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  });
+
+const toText = (raw) => {
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+
+  return (cdata ? cdata[1] : decodeEntities(raw)).trim();
+};
+
+const escapeTagName = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const readTag = (block, names) => {
+  for (const name of names) {
+    const match = block.match(
+      new RegExp(
+        `<${escapeTagName(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTagName(
+          name
+        )}>`,
+        "i"
+      )
+    );
+
+    if (match && toText(match[1])) {
+      return toText(match[1]);
+    }
+  }
+
+  return null;
+};
+
+const readAttributes = (tag) =>
+  Object.fromEntries(
+    Array.from(tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g), (m) => [
+      m[1].toLowerCase(),
+      decodeEntities(m[3] ?? m[4]),
+    ])
+  );
+
+const readEmptyTags = (block, name) =>
+  Array.from(
+    block.matchAll(new RegExp(`<${escapeTagName(name)}\\s[^>]*>`, "gi")),
+    ([tag]) => readAttributes(tag)
+  );
+
+// Accepts plain byte counts and human sizes such as "1.4 GiB" or "700MB".
+const parseSize = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:[.,]\d+)?)\s*([kmgt]?i?b)?$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const unit = SIZE_UNITS[(match[2] || "b").toLowerCase()];
+  const bytes = Number(match[1].replace(",", ".")) * unit;
+
+  return unit && Number.isFinite(bytes) && bytes > 0 ? Math.round(bytes) : null;
+};
+
+const isTorrentUrl = (url) =>
+  /^magnet:\?/i.test(url) || /^https?:\/\//i.test(url);
+
+const parseItem = (block) => {
+  const enclosures = [
+    ...readEmptyTags(block, "enclosure"),
+    ...readEmptyTags(block, "link").filter((link) => link.rel === "enclosure"),
+  ].map((attributes) => ({
+    url: attributes.url || attributes.href,
+    length: attributes.length,
+    type: attributes.type || "",
+  }));
+  const atomLink = readEmptyTags(block, "link").find(
+    (link) => link.href && (!link.rel || link.rel === "alternate")
+  );
+  const link = readTag(block, ["link"]) || atomLink?.href || null;
+  const torrentEnclosure = enclosures.find(
+    ({ url, type }) =>
+      url && (/bittorrent/i.test(type) || /^magnet:/i.test(url))
+  );
+  const candidates = [
+    readTag(block, ["torrent:magnetURI", "magnetURI", "magnet"]),
+    link && /^magnet:/i.test(link) ? link : null,
+    torrentEnclosure?.url,
+    link && /\.torrent(\?|$)/i.test(link) ? link : null,
+    enclosures[0]?.url,
+  ];
+  const url = candidates.find((value) => value && isTorrentUrl(value)) || null;
+  const title = readTag(block, ["title"]) || "";
+
+  return {
+    guid: readTag(block, ["guid", "id"]) || url || title,
+    title,
+    url,
+    size_bytes:
+      parseSize(
+        readTag(block, [
+          "torrent:contentLength",
+          "contentLength",
+          "nyaa:size",
+          "size",
+        ])
+      ) ?? parseSize(torrentEnclosure?.length ?? enclosures[0]?.length),
+    published_at: readTag(block, ["pubDate", "published", "updated"]),
+  };
+};
+
+// Items come back in feed order, which is newest first for most feeds.
+const parseFeed = (xml) => {
+  if (typeof xml !== "string" || !/<(rss|feed|rdf:RDF)[\s>]/i.test(xml)) {
+    throw new Error("Response is not an RSS or Atom feed");
+  }
+
+  return Array.from(
+    xml.matchAll(/<(item|entry)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi),
+    (match) => parseItem(match[2])
+  ).filter((item) => item.guid);
+};
+
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+// (?:, lookarounds and named groups.
+const GROUP_PREFIX_PATTERN = /^\?(?:[:=!]|<[=!]|<[^>]*>)/;
+// \xhh, \uhhhh, \u{...}, \p{...} and \cX: treated as any character.
+const CODE_ESCAPE_PATTERN =
+  /^\\(?:x[0-9a-f]{2}|u[0-9a-f]{4}|u\{[0-9a-f]+\}|[pP]\{[^}]*\}|c[a-z])/i;
+// Bounds the time a single rule pattern may spend on a title.
+const RULE_MATCH_TIMEOUT_MS = 50;
+// Episode markers sit near the start of a release name.
+const MAX_EPISODE_TITLE_LENGTH = 500;
+
+// Sets of characters an atom can match, approximated by category (digits,
+// letters, whitespace, anything else) plus exact literal characters.
+const DIGIT = 1;
+const LETTER = 2;
+const SPACE = 4;
+const OTHER = 8;
+const ANY = DIGIT | LETTER | SPACE | OTHER;
+const ESCAPE_MASKS = {
+  d: DIGIT,
+  D: ANY & ~DIGIT,
+  w: DIGIT | LETTER | OTHER,
+  W: ANY & ~DIGIT,
+  s: SPACE,
+  S: ANY & ~SPACE,
+};
+
+const charSet = (mask, chars = []) => ({ mask, chars: new Set(chars) });
+const NOTHING = charSet(0);
+
+const categoryOf = (char) => {
+  if (/\d/.test(char)) {
+    return DIGIT;
+  }
+
+  if (/\p{L}/u.test(char)) {
+    return LETTER;
+  }
+
+  return /\s/.test(char) ? SPACE : OTHER;
+};
+
+const unionOf = (a, b) => charSet(a.mask | b.mask, [...a.chars, ...b.chars]);
+
+const overlaps = (a, b) =>
+  (a.mask & b.mask) !== 0 ||
+  [...a.chars].some((char) => b.chars.has(char) || b.mask & categoryOf(char)) ||
+  [...b.chars].some((char) => a.mask & categoryOf(char));
+
+// Reads the quantifier at `index`, if any: its length, whether it can
+// repeat the atom before it more than once, whether it is unbounded and
+// whether it allows zero occurrences.
+const readQuantifier = (source, index) => {
+  const match = source.slice(index).match(QUANTIFIER_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const [token, min, comma, max] = match;
+  const unbounded =
+    token === "*" || token === "+" || (comma !== undefined && max === "");
+  const repeats =
+    unbounded ||
+    (min !== undefined && (comma ? Number(max) > 1 : Number(min) > 1));
+  const optional = token === "*" || token === "?" || min === "0";
+  const lazy = source[index + token.length] === "?";
+
+  return {
+    length: token.length + (lazy ? 1 : 0),
+    repeats,
+    unbounded,
+    optional,
+  };
+};
+
+// Reads the escape at `index`: its length and the characters it matches,
+// or null for assertions such as \b.
+const readEscape = (source, index) => {
+  const code = source.slice(index).match(CODE_ESCAPE_PATTERN);
+  const char = source[index + 1] || "";
+
+  if (code) {
+    return { length: code[0].length, set: charSet(ANY) };
+  }
+
+  if (ESCAPE_MASKS[char]) {
+    return { length: 2, set: charSet(ESCAPE_MASKS[char]) };
+  }
+
+  return {
+    length: 2,
+    set: char === "b" || char === "B" ? null : charSet(0, [char.toLowerCase()]),
+  };
+};
+
+// Reads the character class at `index` (on its "["): its length and the
+// characters it matches. Ranges count as every category of their ends.
+const readClass = (source, index) => {
+  let set = NOTHING;
+  let cursor = index + 1;
+  const negated = source[cursor] === "^";
+
+  for (cursor += negated ? 1 : 0; cursor < source.length; ) {
+    if (source[cursor] === "]") {
+      break;
+    }
+
+    if (source[cursor] === "\\") {
+      const escape = readEscape(source, cursor);
+
+      set = unionOf(set, escape.set || charSet(ANY));
+      cursor += escape.length;
+    } else if (source[cursor + 1] === "-" && source[cursor + 2] !== "]") {
+      set = unionOf(
+        set,
+        charSet(categoryOf(source[cursor]) | categoryOf(source[cursor + 2]))
+      );
+      cursor += 3;
+    } else {
+      set = unionOf(set, charSet(0, [source[cursor].toLowerCase()]));
+      cursor += 1;
+    }
+  }
+
+  return { length: cursor - index + 1, set: negated ? charSet(ANY) : set };
+};
+
+const openSequence = (run, lookaround = false) => ({
+  lookaround,
+  risky: false,
+  start: run,
+  run,
+  ends: [],
+  nullable: true,
+  anyNullable: false,
+  set: NOTHING,
+});
+
+// JavaScript regexes cannot be interrupted where they run, so user patterns
+// are limited to shapes that backtrack in polynomial time:
+// - a repeated group may contain neither a quantifier nor an alternation
+//   (as in (a+)+ or (a|a)*);
+// - two unbounded quantifiers whose atoms can match the same character may
+//   not follow each other with only optional atoms between them (as in
+//   .*.* or \w+\s*\w+);
+// - backreferences are refused.
+// Each sequence tracks in `run` the characters matched by unbounded atoms
+// since its last mandatory atom. Patterns this lets through can still be
+// slow on a crafted title, so matching is also time-limited (testRulePattern).
+const isSafePattern = (source) => {
+  const sequences = [openSequence(NOTHING)];
+
+  const addAtom = (set, quantifier) => {
+    const sequence = sequences[sequences.length - 1];
+
+    sequence.set = unionOf(sequence.set, set);
+
+    if (quantifier?.unbounded) {
+      if (overlaps(sequence.run, set)) {
+        return false;
+      }
+
+      sequence.run = unionOf(sequence.run, set);
+    } else if (!quantifier?.optional) {
+      sequence.run = NOTHING;
+      sequence.nullable = false;
+    }
+
+    return true;
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    const current = sequences[sequences.length - 1];
+    let atom = null;
+
+    if (char === "\\") {
+      if (/[1-9k]/.test(source[index + 1] || "")) {
+        return false;
+      }
+
+      atom = readEscape(source, index);
+    } else if (char === "[") {
+      atom = readClass(source, index);
+    } else if (char === ".") {
+      atom = { length: 1, set: charSet(ANY) };
+    } else if (char === "(") {
+      const prefix = source.slice(index + 1).match(GROUP_PREFIX_PATTERN);
+
+      sequences.push(
+        openSequence(current.run, /^\?<?[=!]/.test(prefix?.[0] || ""))
+      );
+      index += prefix ? prefix[0].length : 0;
+      continue;
+    } else if (char === ")" && sequences.length > 1) {
+      const group = sequences.pop();
+      const parent = sequences[sequences.length - 1];
+      const quantifier = readQuantifier(source, index + 1);
+      const end = [...group.ends, group.run].reduce(unionOf);
+      const nullable = group.anyNullable || group.nullable;
+
+      if (quantifier?.repeats && group.risky) {
+        return false;
+      }
+
+      parent.risky ||= group.risky || Boolean(quantifier);
+      parent.set = unionOf(parent.set, group.set);
+
+      // Lookarounds consume nothing, so the run goes on past them.
+      if (group.lookaround) {
+        parent.run = group.start;
+      } else if (quantifier?.unbounded) {
+        if (overlaps(group.start, group.set)) {
+          return false;
+        }
+
+        parent.run = unionOf(end, group.set);
+      } else if (quantifier?.optional) {
+        parent.run = unionOf(group.start, end);
+      } else {
+        parent.run = end;
+        parent.nullable &&= nullable;
+      }
+
+      index += quantifier ? quantifier.length : 0;
+      continue;
+    } else if (char === "|") {
+      current.risky = true;
+      current.ends.push(current.run);
+      current.anyNullable ||= current.nullable;
+      current.run = current.start;
+      current.nullable = true;
+      continue;
+    } else if (char === "^" || char === "$") {
+      continue;
+    } else {
+      atom = { length: 1, set: charSet(0, [char.toLowerCase()]) };
+    }
+
+    index += atom.length - 1;
+
+    // Assertions such as \b match no character.
+    if (!atom.set) {
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, index + 1);
+
+    if (quantifier) {
+      current.risky = true;
+      index += quantifier.length;
+    }
+
+    if (!addAtom(atom.set, quantifier)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// Compiles a rule pattern for matching, or returns null when it is invalid
+// or unsafe.
+const compileRulePattern = (source) => {
+  if (!isSafePattern(source)) {
+    return null;
+  }
+
+  try {
+    return new RegExp(source, "i");
+  } catch (_error) {
+    return null;
+  }
+};
+
+const matchContext = vm.createContext({ pattern: null, text: "" });
+const matchScript = new vm.Script("pattern.test(text)");
+
+// Tests a compiled rule pattern inside a VM context so a pathological match
+// can be cut off. Returns null when it ran out of time.
+const testRulePattern = (pattern, text) => {
+  matchContext.pattern = pattern;
+  matchContext.text = text;
+
+  try {
+    return matchScript.runInContext(matchContext, {
+      timeout: RULE_MATCH_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+      return null;
+    }
+
+    throw error;
+  } finally {
+    matchContext.pattern = null;
+    matchContext.text = "";
+  }
+};
+
+// "Show.Name.S01E02.1080p" and "Show Name 1x02" both map to
+// "show name:s01e02", so different releases of an episode collide. The
+// separators before the episode are dropped with the rest of the
+// punctuation below, not by the patterns, which keeps them linear.
+const readEpisodeKey = (title) => {
+  const head = title.slice(0, MAX_EPISODE_TITLE_LENGTH);
+  const match =
+    head.match(/^(.*?)\bS(\d{1,2})[\s._-]?E(\d{1,3})\b/i) ||
+    head.match(/^(.*?)\b(\d{1,2})x(\d{2,3})\b/i);
+
+  if (!match || !match[1]) {
+    return null;
+  }
+
+  const show = match[1]
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9]+/gi, " ")
+    .trim()
+    .toLowerCase();
+  const season = String(Number(match[2])).padStart(2, "0");
+  const episode = String(Number(match[3])).padStart(2, "0");
+
+  return show ? `${show}:s${season}e${episode}` : null;
+};
+
+module.exports = {
+  isSafePattern,
+  compileRulePattern,
+  testRulePattern,
+  parseFeed,
+  parseSize,
+  readEpisodeKey,
+};
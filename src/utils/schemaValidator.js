@@ -0,0 +1,171 @@
+// Validates plain values against the JSON-schema subset used by endpoint
+// definitions: type, enum, pattern, min/maxLength, minimum/maximum,
+// required, properties, additionalProperties, items and min/maxItems.
+//
+// Path params, query strings and form bodies only carry strings, so with
+// `coerce` numeric and boolean strings are accepted for those types.
+
+const typeCheckers = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null,
+};
+
+const coerceValue = (value, type) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  if ((type === "number" || type === "integer") && value.trim() !== "") {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : value;
+  }
+
+  if (type === "boolean" && ["true", "false", "1", "0"].includes(value)) {
+    return value === "true" || value === "1";
+  }
+
+  return value;
+};
+
+const describeType = (type) => (Array.isArray(type) ? type.join(" or ") : type);
+
+const validateValue = (value, schema, field, errors, options) => {
+  const types = schema.type
+    ? Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type]
+    : null;
+  let candidate = value;
+
+  if (types) {
+    if (options.coerce) {
+      candidate = types.reduce(
+        (current, type) =>
+          types.some((allowed) => typeCheckers[allowed](current))
+            ? current
+            : coerceValue(current, type),
+        value
+      );
+    }
+
+    if (!types.some((type) => typeCheckers[type](candidate))) {
+      errors.push({
+        field,
+        message: `must be of type ${describeType(schema.type)}`,
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(candidate)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof candidate === "string") {
+    if (schema.minLength != null && candidate.length < schema.minLength) {
+      errors.push({
+        field,
+        message: `must be at least ${schema.minLength} characters`,
+      });
+    }
+
+    if (schema.maxLength != null && candidate.length > schema.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(candidate)) {
+      errors.push({
+        field,
+        message: schema.patternDescription || `must match ${schema.pattern}`,
+      });
+    }
+  }
+
+  if (typeof candidate === "number") {
+    if (schema.minimum != null && candidate < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+
+    if (schema.maximum != null && candidate > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(candidate)) {
+    if (schema.minItems != null && candidate.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must contain at least ${schema.minItems} items`,
+      });
+    }
+
+    if (schema.maxItems != null && candidate.length > schema.maxItems) {
+      errors.push({
+        field,
+        message: `must contain at most ${schema.maxItems} items`,
+      });
+    }
+
+    if (schema.items) {
+      candidate.forEach((item, index) =>
+        validateValue(item, schema.items, `${field}[${index}]`, errors, options)
+      );
+    }
+  }
+
+  if (
+    typeCheckers.object(candidate) &&
+    (schema.properties || schema.required)
+  ) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (candidate[key] === undefined || candidate[key] === "") {
+        errors.push({ field: `${field}.${key}`, message: "is required" });
+      }
+    });
+
+    Object.entries(candidate).forEach(([key, entry]) => {
+      if (properties[key]) {
+        if (entry !== undefined) {
+          validateValue(
+            entry,
+            properties[key],
+            `${field}.${key}`,
+            errors,
+            options
+          );
+        }
+        return;
+      }
+
+      if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${key}`, message: "is not allowed" });
+      }
+    });
+  }
+};
+
+// Returns a list of { field, message } problems; empty when valid.
+const validateSchema = (value, schema, field, { coerce = false } = {}) => {
+  const errors = [];
+
+  if (schema) {
+    validateValue(value, schema, field, errors, { coerce });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema,
+};
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+
+// Identifies what a /seedbox/add or /downloader/add request points at, so
+// the same torrent or link can be recognised however it is re-submitted.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Query parameters that only track where a link was clicked.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|referrer)$/i;
+
+const base32ToHex = (value) => {
+  let bits = "";
+
+  for (const char of value.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      return null;
+    }
+
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  return bits
+    .match(/.{4}/g)
+    .map((nibble) => parseInt(nibble, 2).toString(16))
+    .join("");
+};
+
+// Magnets carry the info-hash as 40 hex or 32 base32 characters, and
+// sometimes the exact length in `xl`.
+const readMagnet = (url) => {
+  const magnet = typeof url === "string" ? url.trim() : "";
+
+  if (!/^magnet:\?/i.test(magnet)) {
+    return null;
+  }
+
+  const params = new URLSearchParams(magnet.slice(magnet.indexOf("?") + 1));
+  const length = Number(params.get("xl"));
+  let hash = null;
+
+  for (const topic of params.getAll("xt")) {
+    const match = /^urn:btih:([a-z0-9]+)$/i.exec(topic.trim());
+
+    if (match && /^[0-9a-f]{40}$/i.test(match[1])) {
+      hash = match[1].toLowerCase();
+      break;
+    }
+
+    if (match && match[1].length === 32) {
+      hash = base32ToHex(match[1]);
+      break;
+    }
+  }
+
+  return {
+    hash,
+    sizeBytes: Number.isSafeInteger(length) && length > 0 ? length : null,
+  };
+};
+
+const readNumber = (buffer, start, end, pattern) => {
+  const text = buffer.toString("ascii", start, end);
+
+  if (!pattern.test(text)) {
+    throw new Error("Invalid bencoded number");
+  }
+
+  return Number(text);
+};
+
+// Decodes the bencoded value that starts at `start` and returns it with the
+// offset just past it. Strings stay Buffers; dictionary keys become strings.
+const decodeValue = (buffer, start) => {
+  const marker = buffer[start];
+
+  if (marker === 0x69) {
+    const end = buffer.indexOf(0x65, start);
+
+    if (end === -1) {
+      throw new Error("Unterminated bencoded integer");
+    }
+
+    return [readNumber(buffer, start + 1, end, /^-?\d+$/), end + 1];
+  }
+
+  if (marker === 0x6c || marker === 0x64) {
+    const values = [];
+    let offset = start + 1;
+
+    while (buffer[offset] !== 0x65) {
+      if (offset >= buffer.length) {
+        throw new Error("Unterminated bencoded list");
+      }
+
+      const [value, end] = decodeValue(buffer, offset);
+
+      values.push(value);
+      offset = end;
+    }
+
+    if (marker === 0x6c) {
+      return [values, offset + 1];
+    }
+
+    const dictionary = {};
+
+    for (let index = 0; index < values.length; index += 2) {
+      dictionary[String(values[index])] = values[index + 1];
+    }
+
+    return [dictionary, offset + 1];
+  }
+
+  const colon = buffer.indexOf(0x3a, start);
+
+  if (colon === -1) {
+    throw new Error("Invalid bencoded value");
+  }
+
+  const end = colon + 1 + readNumber(buffer, start, colon, /^\d+$/);
+
+  if (end > buffer.length) {
+    throw new Error("Truncated bencoded string");
+  }
+
+  return [buffer.subarray(colon + 1, end), end];
+};
+
+const sumFileLengths = (info) => {
+  if (Number.isSafeInteger(info.length) && info.length > 0) {
+    return info.length;
+  }
+
+  const total = (Array.isArray(info.files) ? info.files : []).reduce(
+    (sum, file) => sum + (Number.isSafeInteger(file?.length) ? file.length : 0),
+    0
+  );
+
+  return total > 0 ? total : null;
+};
+
+// The info-hash is the SHA-1 of the bencoded `info` dictionary exactly as it
+// appears in the file; the size is the total length of its files. Resolves
+// to null for anything that is not a torrent.
+const readTorrentInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer[0] !== 0x64) {
+    return null;
+  }
+
+  try {
+    let offset = 1;
+
+    while (buffer[offset] !== 0x65 && offset < buffer.length) {
+      const [key, keyEnd] = decodeValue(buffer, offset);
+      const [value, valueEnd] = decodeValue(buffer, keyEnd);
+
+      if (String(key) === "info" && buffer[keyEnd] === 0x64) {
+        return {
+          hash: crypto
+            .createHash("sha1")
+            .update(buffer.subarray(keyEnd, valueEnd))
+            .digest("hex"),
+          sizeBytes: sumFileLengths(value),
+        };
+      }
+
+      offset = valueEnd;
+    }
+  } catch (_error) {
+    return null;
+  }
+
+  return null;
+};
+
+// Hoster links differ only by scheme, "www.", fragments, tracking
+// parameters, parameter order or a trailing slash when re-shared.
+const normalizeLinkUrl = (value) => {
+  let url;
+
+  try {
+    url = new URL(String(value).trim());
+  } catch (_error) {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return null;
+  }
+
+  const params = [...url.searchParams]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+  const path = url.pathname.replace(/\/+$/, "");
+
+  return `${url.host.replace(/^www\./, "")}${path}${query ? `?${query}` : ""}`;
+};
+
+// Splits a multipart/form-data body into its parts; files keep their raw
+// bytes.
+const readMultipartParts = (buffer, contentType = "") => {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+
+  if (!Buffer.isBuffer(buffer) || !boundary) {
+    return [];
+  }
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const parts = [];
+  let start = buffer.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = buffer.indexOf(delimiter, start + delimiter.length);
+
+    if (next === -1) {
+      break;
+    }
+
+    const part = buffer.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+
+    if (headerEnd !== -1) {
+      const headers = part.toString("latin1", 0, headerEnd);
+      const disposition = /content-disposition:([^\r\n]*)/i.exec(headers);
+
+      parts.push({
+        name: /\bname="([^"]*)"/i.exec(disposition?.[1] || "")?.[1] ?? null,
+        filename:
+          /\bfilename="([^"]*)"/i.exec(disposition?.[1] || "")?.[1] ?? null,
+        data: part.subarray(headerEnd + 4),
+      });
+    }
+
+    start = next;
+  }
+
+  return parts;
+};
+
+const readUrl = (url) => {
+  const magnet = readMagnet(url);
+
+  if (magnet) {
+    return { ...magnet, sourceUrl: null };
+  }
+
+  return { hash: null, sourceUrl: normalizeLinkUrl(url), sizeBytes: null };
+};
+
+// Describes the torrent or link an add request points at: its info-hash,
+// normalized source URL and declared size, each null when unknown. Uploaded
+// .torrent files win over a url field.
+const readAddRequest = ({ contentType = "", rawBody, requestBody }) => {
+  if (/multipart\//i.test(contentType)) {
+    const parts = readMultipartParts(rawBody, contentType);
+    const file = parts.find((part) => part.filename !== null);
+    const urlPart = parts.find((part) => part.name === "url" && !part.filename);
+
+    if (file) {
+      return {
+        hash: null,
+        sizeBytes: null,
+        ...readTorrentInfo(file.data),
+        sourceUrl: null,
+      };
+    }
+
+    return urlPart
+      ? readUrl(urlPart.data.toString("utf8"))
+      : { hash: null, sourceUrl: null, sizeBytes: null };
+  }
+
+  return typeof requestBody?.url === "string"
+    ? readUrl(requestBody.url)
+    : { hash: null, sourceUrl: null, sizeBytes: null };
+};
+
+module.exports = {
+  readMagnet,
+  readTorrentInfo,
+  normalizeLinkUrl,
+  readMultipartParts,
+  readAddRequest,
+};
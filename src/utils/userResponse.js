@@ -0,0 +1,17 @@
+// Public view of a user document, shared by the routers that return users.
+const toUserResponse = (doc) => ({
+  id: doc._id.toString(),
+  email: doc.email,
+  storage_all: doc.storage_all,
+  storage_used: doc.storage_used,
+  storage_expired_at: doc.storage_expired_at,
+  deleted: doc.deleted,
+  role: doc.role || "standard",
+  created_at: doc.created_at,
+  updated_at: doc.updated_at,
+  last_login_at: doc.last_login_at,
+});
+
+module.exports = {
+  toUserResponse,
+};
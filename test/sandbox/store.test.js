@@ -0,0 +1,66 @@
+const assert = require("node:assert/strict");
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const config = require("../../src/config");
+const {
+  resetSandboxState,
+  issueTokens,
+  checkAccessToken,
+  refreshTokens,
+  revokeToken,
+} = require("../../src/sandbox/store");
+
+describe("sandbox access tokens", () => {
+  const defaultToken = config.defaultToken;
+
+  beforeEach(() => {
+    resetSandboxState();
+    config.defaultToken = "static-token";
+  });
+
+  afterEach(() => {
+    config.defaultToken = defaultToken;
+  });
+
+  it("accepts issued tokens and the static API token", () => {
+    assert.equal(checkAccessToken(issueTokens().access_token), true);
+    assert.equal(checkAccessToken("static-token"), true);
+  });
+
+  it("refuses unknown tokens", () => {
+    assert.equal(checkAccessToken("made-up"), false);
+
+    config.defaultToken = "";
+    assert.equal(checkAccessToken(""), false);
+    assert.equal(checkAccessToken("static-token"), false);
+  });
+
+  it("refuses expired tokens", (t) => {
+    const { access_token: accessToken } = issueTokens();
+    const issuedAt = Date.now();
+
+    t.mock.method(Date, "now", () => issuedAt + 3601 * 1000);
+    assert.equal(checkAccessToken(accessToken), false);
+  });
+
+  it("refuses a token once it is revoked by itself or its refresh token", () => {
+    const first = issueTokens();
+    const second = issueTokens();
+
+    revokeToken(first.access_token);
+    revokeToken(second.refresh_token);
+
+    assert.equal(checkAccessToken(first.access_token), false);
+    assert.equal(checkAccessToken(second.access_token), false);
+    assert.equal(refreshTokens(first.refresh_token), null);
+  });
+
+  it("rotates tokens on refresh and refuses the replaced pair", () => {
+    const first = issueTokens();
+    const second = refreshTokens(first.refresh_token);
+
+    assert.notEqual(second.access_token, first.access_token);
+    assert.equal(checkAccessToken(second.access_token), true);
+    assert.equal(checkAccessToken(first.access_token), false);
+    assert.equal(refreshTokens(first.refresh_token), null);
+  });
+});
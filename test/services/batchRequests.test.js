@@ -0,0 +1,143 @@
+const assert = require("node:assert/strict");
+const { describe, it, before, after } = require("node:test");
+const express = require("express");
+const config = require("../../src/config");
+const {
+  parseBatch,
+  dispatchSubRequest,
+  runBatch,
+} = require("../../src/services/batchRequests");
+
+const assertRefused = (payload, message) => {
+  assert.throws(() => parseBatch(payload), { status: 400, message });
+};
+
+describe("parseBatch", () => {
+  it("fills in defaults", () => {
+    assert.deepEqual(parseBatch({ requests: [{ path: "/me" }] }), {
+      requests: [{ method: "GET", path: "/me", query: {}, body: undefined }],
+      concurrency: config.batchMaxConcurrency,
+      stopOnError: false,
+    });
+  });
+
+  it("enforces the request and concurrency limits", () => {
+    const requests = Array.from(
+      { length: config.batchMaxRequests + 1 },
+      () => ({
+        path: "/me",
+      })
+    );
+
+    assertRefused({ requests: [] }, "requests must be a non-empty array");
+    assertRefused(
+      { requests },
+      `A batch cannot contain more than ${config.batchMaxRequests} requests`
+    );
+    assertRefused(
+      { requests: [{ path: "/me" }], concurrency: 0 },
+      "concurrency must be a positive integer"
+    );
+    assert.equal(
+      parseBatch({ requests: [{ path: "/me" }], concurrency: 1000 })
+        .concurrency,
+      config.batchMaxConcurrency
+    );
+  });
+
+  it("refuses methods and paths that are not local calls", () => {
+    assertRefused(
+      { requests: [{ method: "TRACE", path: "/me" }] },
+      /requests\[0\]\.method must be one of/
+    );
+    ["me", "//evil.example/x", "https://evil.example/"].forEach((path) => {
+      assertRefused(
+        { requests: [{ path }] },
+        "requests[0].path must start with a single /"
+      );
+    });
+  });
+
+  it("refuses nested batches however they are spelled", () => {
+    ["/batch", "/BATCH/", "/batch?x=1", "/%62atch"].forEach((path) => {
+      assertRefused(
+        { requests: [{ method: "POST", path }] },
+        "requests[0].path cannot be a nested batch"
+      );
+    });
+  });
+
+  it("refuses streaming endpoints", () => {
+    ["/seedbox/stream", "/Seedbox//Stream/", "/dl/abc.def"].forEach((path) => {
+      assertRefused(
+        { requests: [{ path }] },
+        "requests[0].path cannot be a streaming endpoint"
+      );
+    });
+    assert.doesNotThrow(() => parseBatch({ requests: [{ path: "/seedbox" }] }));
+  });
+});
+
+describe("dispatchSubRequest", () => {
+  const timeoutMs = config.batchRequestTimeoutMs;
+  const app = express();
+  let closed = 0;
+
+  app.get("/ok", (req, res) => res.json({ success: true, id: req.id }));
+  app.get("/fail", (req, res) => res.status(404).json({ success: false }));
+  app.get("/hang", (req, res) => {
+    res.write("partial");
+    res.on("close", () => {
+      closed += 1;
+    });
+  });
+
+  const outer = {
+    app,
+    id: "req-1",
+    headers: { authorization: "Bearer token" },
+    ip: "203.0.113.5",
+  };
+
+  before(() => {
+    config.batchRequestTimeoutMs = 100;
+  });
+
+  after(() => {
+    config.batchRequestTimeoutMs = timeoutMs;
+  });
+
+  it("answers with the sub-request status and decoded body", async () => {
+    assert.deepEqual(
+      await dispatchSubRequest(outer, { method: "GET", path: "/ok" }),
+      { status: 200, body: { success: true, id: "req-1" } }
+    );
+  });
+
+  it("answers 504 and closes a sub-request that does not end", async () => {
+    const result = await dispatchSubRequest(outer, {
+      method: "GET",
+      path: "/hang",
+    });
+
+    assert.equal(result.status, 504);
+    await new Promise(setImmediate);
+    assert.equal(closed, 1);
+  });
+
+  it("skips the remaining sub-requests after a failure with stopOnError", async () => {
+    const results = await runBatch(
+      outer,
+      parseBatch({
+        requests: [{ path: "/fail" }, { path: "/ok" }],
+        concurrency: 1,
+        stopOnError: true,
+      })
+    );
+
+    assert.deepEqual(
+      results.map((result) => result.status),
+      [404, 424]
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require("node:assert/strict");
+const { describe, it, before, after } = require("node:test");
+const config = require("../../src/config");
+const {
+  createDownloadToken,
+  readDownloadToken,
+  rewriteDownloadUrls,
+} = require("../../src/services/signedLinks");
+
+const URL = "https://upstream.example/dl/abc123/Some.File.mkv";
+const LINK = { userId: "64b000000000000000000001", kind: "seedbox", url: URL };
+
+const assertInvalid = (token) => {
+  assert.throws(() => readDownloadToken(token), {
+    status: 403,
+    code: "invalid_link",
+  });
+};
+
+describe("download tokens", () => {
+  const saved = {
+    secret: config.signedLinkSecret,
+    ttl: config.signedLinkTtlSeconds,
+    baseUrl: config.publicBaseUrl,
+  };
+
+  before(() => {
+    config.signedLinkSecret = "test-signing-secret";
+    config.signedLinkTtlSeconds = 3600;
+    config.publicBaseUrl = "https://proxy.example";
+  });
+
+  after(() => {
+    config.signedLinkSecret = saved.secret;
+    config.signedLinkTtlSeconds = saved.ttl;
+    config.publicBaseUrl = saved.baseUrl;
+  });
+
+  it("round-trips the owner, kind and URL", () => {
+    const link = readDownloadToken(createDownloadToken(LINK));
+
+    assert.deepEqual(
+      { userId: link.userId, kind: link.kind, url: link.url },
+      LINK
+    );
+    assert.ok(link.expiresAt * 1000 >= Date.now() + 3600 * 1000 - 1000);
+  });
+
+  it("does not reveal the upstream URL", () => {
+    const token = createDownloadToken(LINK);
+    const decoded = Buffer.from(token, "base64url").toString("latin1");
+
+    assert.ok(!decoded.includes("upstream.example"));
+    assert.ok(!token.includes("upstream"));
+  });
+
+  it("gives the same link the same token and other links other tokens", () => {
+    assert.equal(createDownloadToken(LINK), createDownloadToken(LINK));
+    assert.notEqual(
+      createDownloadToken(LINK),
+      createDownloadToken({ ...LINK, url: `${URL}?2` })
+    );
+  });
+
+  it("refuses expired tokens", (t) => {
+    const token = createDownloadToken(LINK);
+    const now = Date.now();
+
+    t.mock.method(Date, "now", () => now + 3661 * 1000);
+    assert.throws(() => readDownloadToken(token), {
+      status: 410,
+      code: "link_expired",
+    });
+  });
+
+  it("refuses tampered, truncated or foreign tokens", () => {
+    const sealed = Buffer.from(createDownloadToken(LINK), "base64url");
+
+    [0, 12, 28, sealed.length - 1].forEach((index) => {
+      const tampered = Buffer.from(sealed);
+
+      tampered[index] ^= 1;
+      assertInvalid(tampered.toString("base64url"));
+    });
+    assertInvalid(sealed.subarray(0, 28).toString("base64url"));
+    assertInvalid("");
+    assertInvalid("not.a.token");
+
+    const token = createDownloadToken(LINK);
+
+    config.signedLinkSecret = "another-secret";
+    try {
+      assertInvalid(token);
+    } finally {
+      config.signedLinkSecret = "test-signing-secret";
+    }
+  });
+
+  it("rewrites upstream download URLs but not signed ones", () => {
+    const value = rewriteDownloadUrls(
+      [{ id: "a", downloadUrl: URL, files: [{ downloadUrl: URL }] }],
+      { userId: LINK.userId, kind: "seedbox" }
+    );
+    const signed = value[0].downloadUrl;
+
+    assert.ok(signed.startsWith("https://proxy.example/dl/"));
+    assert.equal(value[0].files[0].downloadUrl, signed);
+    assert.deepEqual(
+      rewriteDownloadUrls({ downloadUrl: signed }, { userId: LINK.userId }),
+      { downloadUrl: signed }
+    );
+    assert.equal(
+      readDownloadToken(signed.slice("https://proxy.example/dl/".length)).url,
+      URL
+    );
+  });
+});
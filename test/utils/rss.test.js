@@ -0,0 +1,98 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const {
+  isSafePattern,
+  compileRulePattern,
+  testRulePattern,
+  readEpisodeKey,
+} = require("../../src/utils/rss");
+
+describe("isSafePattern", () => {
+  it("accepts the patterns rules are written with", () => {
+    [
+      "S\\d+E\\d+",
+      "Show.*1080p.*x265",
+      "^\\[Group\\] .+ - \\d{2,3}",
+      "(\\d+)x(\\d+)",
+      "(?:ab)+c",
+      "[a-z]+[0-9]+",
+      "a+b*",
+      ".+?-.+?",
+      "\\bremux\\b",
+    ].forEach((pattern) => {
+      assert.equal(isSafePattern(pattern), true, pattern);
+    });
+  });
+
+  it("refuses repeated groups that contain a quantifier or an alternation", () => {
+    ["(a+)+", "(a|b)*", "(?:x\\d?){2,}", "((ab)*)+"].forEach((pattern) => {
+      assert.equal(isSafePattern(pattern), false, pattern);
+    });
+  });
+
+  it("refuses unbounded quantifiers that chain over the same characters", () => {
+    [
+      ".*.*.*.*.*.*.*.*z",
+      "\\d+\\d*",
+      "\\w+\\s*\\w+",
+      "x(.*)?.*",
+      ".*(.*)",
+      ".*(?=x).*",
+      "[^]*.*",
+      "(?:ab)+(?:ba)+",
+    ].forEach((pattern) => {
+      assert.equal(isSafePattern(pattern), false, pattern);
+    });
+  });
+
+  it("refuses backreferences", () => {
+    ["(a)\\1", "(?<x>a)\\k<x>"].forEach((pattern) => {
+      assert.equal(isSafePattern(pattern), false, pattern);
+    });
+  });
+});
+
+describe("compileRulePattern", () => {
+  it("compiles safe patterns case-insensitively", () => {
+    assert.ok(compileRulePattern("s\\d+e\\d+").test("Show.S01E02"));
+  });
+
+  it("returns null for invalid or unsafe patterns", () => {
+    assert.equal(compileRulePattern("(a"), null);
+    assert.equal(compileRulePattern(".*.*z"), null);
+  });
+});
+
+describe("testRulePattern", () => {
+  it("reports whether the title matches", () => {
+    assert.equal(testRulePattern(/1080p/i, "Show.S01E02.1080P"), true);
+    assert.equal(testRulePattern(/720p/i, "Show.S01E02.1080p"), false);
+  });
+
+  it("returns null once a match runs out of time", () => {
+    const started = Date.now();
+
+    assert.equal(
+      testRulePattern(/.*a.*a.*a.*a.*a.*a.*b/i, "a".repeat(500)),
+      null
+    );
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+describe("readEpisodeKey", () => {
+  it("maps releases of an episode to the same key", () => {
+    assert.equal(readEpisodeKey("Show.Name.S01E02.1080p"), "show name:s01e02");
+    assert.equal(readEpisodeKey("Show Name - 1x02 [720p]"), "show name:s01e02");
+    assert.equal(readEpisodeKey("S01E02"), null);
+    assert.equal(readEpisodeKey("Show Name 1080p"), null);
+  });
+
+  it("reads long crafted titles in linear time", () => {
+    const started = Date.now();
+
+    assert.equal(readEpisodeKey("._".repeat(20000)), null);
+    assert.equal(readEpisodeKey(`Show ${" .".repeat(20000)}S01E02`), null);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
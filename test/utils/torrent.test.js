@@ -0,0 +1,255 @@
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { describe, it } = require("node:test");
+const {
+  readMagnet,
+  readTorrentInfo,
+  normalizeLinkUrl,
+  readMultipartParts,
+  readAddRequest,
+} = require("../../src/utils/torrent");
+
+const HEX_HASH = "6162636465666768696a6b6c6d6e6f7071727374";
+// "abcdefghijklmnopqrst" in base32, i.e. the same hash as HEX_HASH.
+const BASE32_HASH = "MFRGGZDFMZTWQ2LKNNWG23TPOBYXE43U";
+
+const INFO = Buffer.from(
+  "d6:lengthi5e4:name3:abc12:piece lengthi16384e6:pieces20:aaaaaaaaaaaaaaaaaaaae"
+);
+const TORRENT = Buffer.concat([
+  Buffer.from("d8:announce3:xyz4:info"),
+  INFO,
+  Buffer.from("e"),
+]);
+const INFO_HASH = crypto.createHash("sha1").update(INFO).digest("hex");
+
+const multipart = (boundary, parts, { closed = true } = {}) =>
+  Buffer.concat([
+    Buffer.from("preamble\r\n"),
+    ...parts.flatMap(({ headers, data }) => [
+      Buffer.from(`--${boundary}\r\n${headers.join("\r\n")}\r\n\r\n`),
+      Buffer.from(data),
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(closed ? `--${boundary}--\r\n` : ""),
+  ]);
+
+describe("readMagnet", () => {
+  it("reads a hex info-hash in lower case", () => {
+    assert.deepEqual(
+      readMagnet(`magnet:?xt=urn:btih:${HEX_HASH.toUpperCase()}&dn=x`),
+      { hash: HEX_HASH, sizeBytes: null }
+    );
+  });
+
+  it("converts a base32 info-hash to hex", () => {
+    assert.equal(
+      readMagnet(`magnet:?dn=x&xt=urn:btih:${BASE32_HASH}`).hash,
+      HEX_HASH
+    );
+  });
+
+  it("reads the declared length from xl", () => {
+    assert.equal(
+      readMagnet(`magnet:?xt=urn:btih:${HEX_HASH}&xl=1048576`).sizeBytes,
+      1048576
+    );
+    assert.equal(
+      readMagnet(`magnet:?xt=urn:btih:${HEX_HASH}&xl=-1`).sizeBytes,
+      null
+    );
+  });
+
+  it("skips topics that are not BitTorrent info-hashes", () => {
+    assert.equal(
+      readMagnet(`magnet:?xt=urn:sha1:abc&xt=urn:btih:${HEX_HASH}`).hash,
+      HEX_HASH
+    );
+    assert.equal(readMagnet("magnet:?xt=urn:btih:1234").hash, null);
+    assert.equal(
+      readMagnet(`magnet:?xt=urn:btih:${"1".repeat(32)}`).hash,
+      null
+    );
+  });
+
+  it("returns null for anything but a magnet", () => {
+    assert.equal(readMagnet("https://example.com/a.torrent"), null);
+    assert.equal(readMagnet(undefined), null);
+  });
+});
+
+describe("readTorrentInfo", () => {
+  it("hashes the info dictionary as it appears in the file", () => {
+    assert.deepEqual(readTorrentInfo(TORRENT), {
+      hash: INFO_HASH,
+      sizeBytes: 5,
+    });
+  });
+
+  it("adds up the lengths of multi-file torrents", () => {
+    const info = "d5:filesld6:lengthi3eed6:lengthi4eee4:name1:xe";
+
+    assert.equal(readTorrentInfo(Buffer.from(`d4:info${info}e`)).sizeBytes, 7);
+  });
+
+  it("returns null for truncated or malformed input", () => {
+    [
+      "",
+      "garbage",
+      "d4:info",
+      "d4:infod6:lengthi5e",
+      "d4:info99:abce",
+      "d4:infoi1ee",
+      "d4:infod6:lengthixee",
+      "l4:infoe",
+    ].forEach((input) => {
+      assert.equal(readTorrentInfo(Buffer.from(input)), null, input);
+    });
+  });
+
+  it("returns null for anything but a Buffer", () => {
+    assert.equal(readTorrentInfo(TORRENT.toString("latin1")), null);
+  });
+});
+
+describe("normalizeLinkUrl", () => {
+  it("ignores scheme, www, fragments, tracking and parameter order", () => {
+    assert.equal(
+      normalizeLinkUrl("https://www.Host.com/f/abc/?b=2&utm_source=x&a=1#frag"),
+      "host.com/f/abc?a=1&b=2"
+    );
+    assert.equal(
+      normalizeLinkUrl("http://host.com/f/abc?a=1&b=2"),
+      "host.com/f/abc?a=1&b=2"
+    );
+  });
+
+  it("keeps the path and meaningful parameters apart", () => {
+    assert.notEqual(
+      normalizeLinkUrl("https://host.com/f/abc?id=1"),
+      normalizeLinkUrl("https://host.com/f/abc?id=2")
+    );
+  });
+
+  it("returns null for invalid or non-http URLs", () => {
+    assert.equal(normalizeLinkUrl("not a url"), null);
+    assert.equal(normalizeLinkUrl("ftp://host.com/file"), null);
+  });
+});
+
+describe("readMultipartParts", () => {
+  it("splits parts and keeps file bytes intact", () => {
+    const body = multipart("XyZ", [
+      {
+        headers: ['Content-Disposition: form-data; name="url"'],
+        data: "https://host.com/f",
+      },
+      {
+        headers: [
+          'Content-Disposition: form-data; name="file"; filename="a.torrent"',
+          "Content-Type: application/x-bittorrent",
+        ],
+        data: TORRENT,
+      },
+    ]);
+    const parts = readMultipartParts(body, "multipart/form-data; boundary=XyZ");
+
+    assert.equal(parts.length, 2);
+    assert.deepEqual(
+      { name: parts[0].name, filename: parts[0].filename },
+      { name: "url", filename: null }
+    );
+    assert.equal(parts[0].data.toString(), "https://host.com/f");
+    assert.equal(parts[1].filename, "a.torrent");
+    assert.ok(parts[1].data.equals(TORRENT));
+  });
+
+  it("accepts a quoted boundary", () => {
+    const body = multipart("a b", [
+      {
+        headers: ['Content-Disposition: form-data; name="url"'],
+        data: "x",
+      },
+    ]);
+
+    assert.equal(
+      readMultipartParts(body, 'multipart/form-data; boundary="a b"').length,
+      1
+    );
+  });
+
+  it("drops a part that is not closed by a delimiter", () => {
+    const body = multipart(
+      "XyZ",
+      [
+        { headers: ['Content-Disposition: form-data; name="a"'], data: "1" },
+        { headers: ['Content-Disposition: form-data; name="b"'], data: "2" },
+      ],
+      { closed: false }
+    );
+
+    assert.deepEqual(
+      readMultipartParts(body, "multipart/form-data; boundary=XyZ").map(
+        (part) => part.name
+      ),
+      ["a"]
+    );
+  });
+
+  it("returns nothing without a boundary or a Buffer body", () => {
+    assert.deepEqual(readMultipartParts(TORRENT, "multipart/form-data"), []);
+    assert.deepEqual(
+      readMultipartParts("--x\r\n", "multipart/form-data; boundary=x"),
+      []
+    );
+  });
+});
+
+describe("readAddRequest", () => {
+  it("reads a magnet from a JSON body", () => {
+    assert.deepEqual(
+      readAddRequest({
+        contentType: "application/json",
+        requestBody: { url: `magnet:?xt=urn:btih:${HEX_HASH}&xl=10` },
+      }),
+      { hash: HEX_HASH, sizeBytes: 10, sourceUrl: null }
+    );
+  });
+
+  it("normalizes other URLs", () => {
+    assert.deepEqual(
+      readAddRequest({ requestBody: { url: "https://www.host.com/f/" } }),
+      { hash: null, sourceUrl: "host.com/f", sizeBytes: null }
+    );
+  });
+
+  it("prefers an uploaded .torrent over a url part", () => {
+    const contentType = "multipart/form-data; boundary=XyZ";
+    const rawBody = multipart("XyZ", [
+      {
+        headers: ['Content-Disposition: form-data; name="url"'],
+        data: "https://host.com/f",
+      },
+      {
+        headers: [
+          'Content-Disposition: form-data; name="file"; filename="a.torrent"',
+        ],
+        data: TORRENT,
+      },
+    ]);
+
+    assert.deepEqual(readAddRequest({ contentType, rawBody }), {
+      hash: INFO_HASH,
+      sizeBytes: 5,
+      sourceUrl: null,
+    });
+  });
+
+  it("reports nothing for a body without a url", () => {
+    assert.deepEqual(readAddRequest({ requestBody: {} }), {
+      hash: null,
+      sourceUrl: null,
+      sizeBytes: null,
+    });
+  });
+});